@@ -1,27 +1,51 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
-import UserPagination from './components/UserPagination.jsx'
+import { Suspense } from 'react'
 import Header from './components/header.jsx'
 import Footer from './components/footer.jsx'
-import { InfiniteScrolling } from './components/InfiniteScrolling.jsx'
-import { SearchWithDebounce } from './components/SearchWithDebounce.jsx'
-import LiveSearchAPI from './api/LiveSearchAPI.jsx'
+import SidebarNav from './components/SidebarNav.jsx'
+import DemoOverview from './components/DemoOverview.jsx'
+import NotFound from './components/NotFound.jsx'
+import RequireAuth from './components/RequireAuth.jsx'
+import ErrorBoundary from './components/ErrorBoundary.jsx'
+import NetworkInspector from './components/NetworkInspector.jsx'
+import { authRoutes, demoRoutes } from './routes'
+import { matchRoute, usePathname } from './router/navigation'
+import { networkLogEnabled } from './api/networkLog'
 
 import './App.css'
 
+const routes = [
+  { path: '/', component: DemoOverview },
+  ...demoRoutes,
+  ...authRoutes,
+  { path: '*', component: NotFound },
+]
+
 function App() {
-  const [count, setCount] = useState(0)
+  const pathname = usePathname()
+  const { component: Page, requiresAuth, label } = matchRoute(routes, pathname)
 
   return (
     <>
       <div>
         <Header></Header>
-        <LiveSearchAPI></LiveSearchAPI>
-        <SearchWithDebounce></SearchWithDebounce>
-        <InfiniteScrolling></InfiniteScrolling>
-        <UserPagination></UserPagination>
+        <div className="flex flex-col md:flex-row gap-6 mt-8">
+          <SidebarNav></SidebarNav>
+          <main className="flex-1 min-w-0">
+            <ErrorBoundary key={pathname} label={label}>
+              <Suspense fallback={<p>Loading demo...</p>}>
+                {requiresAuth ? (
+                  <RequireAuth>
+                    <Page key={pathname}></Page>
+                  </RequireAuth>
+                ) : (
+                  <Page key={pathname}></Page>
+                )}
+              </Suspense>
+            </ErrorBoundary>
+          </main>
+        </div>
         <Footer></Footer>
+        {networkLogEnabled && <NetworkInspector />}
       </div>   
     </>
   )
@@ -1,4 +1,28 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { cancelRequests } from './axiosConfig';
+import { servicePageAdapter } from './paginationAdapters';
+import { getProductCategories, listProductsByCategory, searchProducts, searchProductsInCategory } from './productService';
+import { useUrlState } from '../hooks/useUrlState';
+import { useRecentSearches } from '../hooks/useRecentSearches';
+import { usePaginatedQuery } from '../hooks/usePaginatedQuery';
+import SearchCombobox from '../components/SearchCombobox.jsx';
+import ProductFilters from '../components/ProductFilters.jsx';
+import Pagination from '../components/Pagination.jsx';
+import Highlight from '../components/Highlight.jsx';
+import ErrorNotice from '../components/ErrorNotice.jsx';
+import {
+  FILTER_DEFAULTS,
+  applyFilters,
+  getFacets,
+  getSortParams,
+} from '../components/productFilters';
+
+const SEARCH_REQUEST_KEY = 'live-product-search';
+const SUGGESTIONS_REQUEST_KEY = 'live-product-suggestions';
+const SUGGESTION_LIMIT = 6;
+const CATEGORIES_CACHE_TTL = 10 * 60 * 1000;
+const PAGE_SIZE_OPTIONS = [10, 20, 40];
+const URL_STATE_DEFAULTS = { q: '', ...FILTER_DEFAULTS, page: 1, pageSize: 20, view: 'pages' };
 
 /*
   LiveSearchAPI Component
@@ -6,83 +30,106 @@ import { useState, useEffect } from 'react';
   This component demonstrates:
   - Live search using a real API
   - Debouncing to control API request frequency
-  - AbortController for request cancellation
+  - An accessible autocomplete (see SearchCombobox) with product-title
+    suggestions and recent searches kept in localStorage; picking one
+    searches right away instead of waiting for the debounce
+  - Latest-wins request cancellation through the shared HTTP layer
+  - Faceted filtering (category, brand, price, rating) and sorting; see
+    productFilters.js for what runs on the server and what on the client
+  - Browsing the full result set with skip / limit, as numbered pages or
+    "load more" (view=pages | more); brand, price and rating filters only
+    narrow the pages loaded so far
+  - The committed query, filters and page live in the URL (?products.q=...)
   - Proper loading and error handling
 
   Designed and implemented by Rahul Kesarwani
 */
 
 function LiveSearchAPI() {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [debouncedSearch, setDebouncedSearch] = useState('');
-  const [products, setProducts] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  const [totalResults, setTotalResults] = useState(0);
-
-  /* Debounce user input */
+  const [urlState, setUrlState] = useUrlState(URL_STATE_DEFAULTS, { prefix: 'products' });
+  const debouncedSearch = urlState.q;
+  const [searchTerm, setSearchTerm] = useState(debouncedSearch);
+  const [syncedSearch, setSyncedSearch] = useState(debouncedSearch);
+  const [suggestionState, setSuggestionState] = useState({ query: '', titles: [] });
+  const [categories, setCategories] = useState([]);
+  const { recent, addRecent, removeRecent, clearRecent } = useRecentSearches('products.recentSearches');
+
+  const suggestionQuery = searchTerm.trim();
+  const suggestions = suggestionQuery.length >= 2 && suggestionState.query === suggestionQuery
+    ? suggestionState.titles
+    : [];
+
+  /* Back / forward changed the query: show it in the input */
+  if (debouncedSearch !== syncedSearch) {
+    setSyncedSearch(debouncedSearch);
+    setSearchTerm(debouncedSearch);
+  }
+
+  /* A new query starts again from the first page */
+  const commitSearch = (term) => {
+    setUrlState((current) => (current.q === term ? {} : { q: term, page: 1 }));
+  };
+
+  /* Debounce user input; every committed search gets a history entry */
   useEffect(() => {
     const timer = setTimeout(() => {
-      setDebouncedSearch(searchTerm);
+      setUrlState((current) => (current.q === searchTerm ? {} : { q: searchTerm, page: 1 }));
     }, 600);
 
     return () => clearTimeout(timer);
-  }, [searchTerm]);
+  }, [searchTerm, setUrlState]);
 
-  /* API search based on debounced input */
+  /* Title suggestions follow the input more closely than the full search */
   useEffect(() => {
-    if (!debouncedSearch.trim() || debouncedSearch.length < 2) {
-      setProducts([]);
-      setTotalResults(0);
-      return;
-    }
-
-    const abortController = new AbortController();
+    if (suggestionQuery.length < 2) return;
 
-    const searchProducts = async () => {
+    const timer = setTimeout(async () => {
       try {
-        setLoading(true);
-        setError(null);
-
-        const response = await fetch(
-          `https://dummyjson.com/products/search?q=${encodeURIComponent(
-            debouncedSearch
-          )}&limit=20`,
-          { signal: abortController.signal }
+        const { items } = await searchProducts(
+          suggestionQuery,
+          { pageSize: SUGGESTION_LIMIT, select: 'title' },
+          { cancelKey: SUGGESTIONS_REQUEST_KEY, retry: false }
         );
-
-        if (!response.ok) {
-          throw new Error('Failed to fetch search results');
-        }
-
-        const data = await response.json();
-        setProducts(data.products);
-        setTotalResults(data.total);
-      } catch (err) {
-        if (err.name !== 'AbortError') {
-          setError(err.message);
-        }
-      } finally {
-        setLoading(false);
+        setSuggestionState({
+          query: suggestionQuery,
+          titles: items.map((product) => ({ id: product.id, label: product.title })),
+        });
+      } catch {
+        // Suggestions are optional; the full search reports errors
       }
-    };
-
-    searchProducts();
+    }, 150);
 
-    return () => abortController.abort();
-  }, [debouncedSearch]);
+    return () => {
+      clearTimeout(timer);
+      cancelRequests(SUGGESTIONS_REQUEST_KEY);
+    };
+  }, [suggestionQuery]);
 
-  const handleSearchChange = (event) => {
-    setSearchTerm(event.target.value);
+  /* Category facet options */
+  useEffect(() => {
+    getProductCategories({ cacheTTL: CATEGORIES_CACHE_TTL })
+      .then(setCategories)
+      .catch(() => {
+        // The facet just stays empty
+      });
+  }, []);
+
+  /* Picked suggestion / recent search or Enter: search now, skip the debounce */
+  const handleSearchSubmit = (term) => {
+    setSearchTerm(term);
+    commitSearch(term);
+    if (term.trim().length >= 2) addRecent(term);
   };
 
   const handleClearSearch = () => {
     setSearchTerm('');
-    setDebouncedSearch('');
-    setProducts([]);
-    setTotalResults(0);
+    commitSearch('');
   };
 
+  // Anything the server query depends on gets a fresh result list (and
+  // paging state); brand / price / rating only filter what is loaded
+  const resultsKey = [urlState.view, debouncedSearch, urlState.category, urlState.sort, urlState.pageSize].join('|');
+
   return (
     <div className="component-container">
       <h2>Live Product Search Using API</h2>
@@ -99,12 +146,17 @@ function LiveSearchAPI() {
 
       {/* Search Input */}
       <div className="search-container">
-        <input
-          type="text"
+        <SearchCombobox
+          label="Search products"
           placeholder="Search products by name or category"
           value={searchTerm}
-          onChange={handleSearchChange}
-          className="search-input"
+          onChange={setSearchTerm}
+          onSubmit={handleSearchSubmit}
+          suggestions={suggestions}
+          recent={recent}
+          onRemoveRecent={removeRecent}
+          onClearRecent={clearRecent}
+          renderLabel={(title) => <Highlight text={title} query={suggestionQuery} />}
         />
 
         {searchTerm && (
@@ -114,40 +166,168 @@ function LiveSearchAPI() {
         )}
       </div>
 
+      <ProductResults
+        key={resultsKey}
+        query={debouncedSearch}
+        urlState={urlState}
+        setUrlState={setUrlState}
+        categories={categories}
+      />
+    </div>
+  );
+}
+
+/*
+  Results for one server query (query + category + sort + page size).
+  Remounted whenever that changes, so "load more" always starts from an
+  empty list at page 1.
+*/
+function ProductResults({ query, urlState, setUrlState, categories }) {
+  const { category, sort, view } = urlState;
+  const isPaged = view === 'pages';
+  const resultsTopRef = useRef(null);
+  const shownPageRef = useRef(null);
+
+  /* Queries shorter than two characters show no results, unless a category is being browsed */
+  const hasQuery = query.trim().length >= 2;
+  const isSearchable = hasQuery || Boolean(category);
+
+  /* Sorting and the category are applied before paging (see productFilters.js).
+     The fetcher is fixed for the lifetime of this (keyed) component */
+  const [fetchProducts] = useState(() => (params, { signal, onRetry, onQueueChange, prefetch }) => {
+    const serverParams = { ...params, ...getSortParams(sort) };
+    const config = { signal, onRetry, onQueueChange, prefetch, cancelKey: SEARCH_REQUEST_KEY };
+
+    if (!hasQuery) return listProductsByCategory(category, serverParams, config);
+    return category
+      ? searchProductsInCategory(query, category, serverParams, config)
+      : searchProducts(query, serverParams, config);
+  });
+
+  const {
+    items,
+    page,
+    pageSize,
+    total,
+    totalPages,
+    hasMore,
+    loading,
+    error,
+    retry,
+    queued,
+    goToPage,
+    nextPage,
+    setPageSize,
+    prefetchPage,
+    retryFailed,
+  } = usePaginatedQuery(fetchProducts, servicePageAdapter, {
+    mode: isPaged ? 'replace' : 'append',
+    enabled: isSearchable,
+    pageSize: urlState.pageSize,
+    onPageSizeChange: (pageSize) => setUrlState({ pageSize, page: 1 }),
+    // "Load more" keeps its page in memory; a restored URL starts from page 1
+    page: isPaged ? urlState.page : undefined,
+    onPageChange: isPaged ? (page) => setUrlState({ page }) : undefined,
+    prefetch: isPaged,
+  });
+
+  const serverResults = isSearchable ? items : [];
+  const totalResults = isSearchable ? total ?? 0 : 0;
+  const initialLoad = loading && serverResults.length === 0;
+
+  const facets = getFacets(serverResults);
+  const products = applyFilters(serverResults, urlState);
+  const isFiltered = products.length !== serverResults.length;
+
+  /* Numbered pages: bring the top of the new page into view */
+  useEffect(() => {
+    if (!isPaged || loading) return;
+    if (shownPageRef.current != null && shownPageRef.current !== page) {
+      resultsTopRef.current?.scrollIntoView({ block: 'start', behavior: 'smooth' });
+    }
+    shownPageRef.current = page;
+  }, [isPaged, loading, page]);
+
+  /* Filter changes reset paging; client-side ones included, to keep things predictable */
+  const handleFiltersChange = (patch, options) => {
+    setUrlState({ ...patch, page: 1 }, options);
+  };
+
+  return (
+    <>
+      <ProductFilters
+        filters={urlState}
+        onChange={handleFiltersChange}
+        categories={categories}
+        facets={facets}
+      />
+
+      <div className="flex flex-wrap gap-4 items-center my-2">
+        <div role="group" aria-label="Result view" className="flex gap-2">
+          {[['pages', 'Pages'], ['more', 'Load more']].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              aria-pressed={view === value}
+              onClick={() => setUrlState({ view: value, page: 1 })}
+              className={`px-3 py-1 rounded ${view === value ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-900'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <label className="flex items-center gap-2">
+          Per page
+          <select
+            value={pageSize}
+            onChange={(event) => setPageSize(Number(event.target.value))}
+            className="border rounded px-2 py-1"
+          >
+            {PAGE_SIZE_OPTIONS.map((option) => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
       {/* Search Status */}
-      <div className="status-box">
-        {loading && <p>Searching for "{debouncedSearch}"...</p>}
+      <div className="status-box" ref={resultsTopRef}>
+        {initialLoad && (
+          <p>
+            {hasQuery ? `Searching for "${query}"...` : 'Loading products...'}
+            {retry && ` retrying (${retry.attempt}/${retry.maxAttempts})…`}
+            {!retry && queued && ' (queued)'}
+          </p>
+        )}
 
-        {!loading && debouncedSearch && (
+        {!initialLoad && isSearchable && (
           <p>
-            {totalResults} result{totalResults !== 1 ? 's' : ''} found for "
-            {debouncedSearch}"
+            {totalResults} result{totalResults !== 1 ? 's' : ''} found
+            {hasQuery ? ` for "${query}"` : ' in this category'}
+            {isFiltered && ` - ${products.length} of the loaded ${serverResults.length} shown after filters`}
           </p>
         )}
 
-        {!loading && !debouncedSearch && (
-          <p>Start typing to search (minimum two characters).</p>
+        {!isSearchable && (
+          <p>Start typing to search (minimum two characters) or pick a category.</p>
         )}
       </div>
 
       {/* Error */}
-      {error && (
-        <div className="error-box">
-          Error: {error}
-        </div>
-      )}
+      {error && <ErrorNotice error={error} onRetry={retryFailed} className="my-4" />}
 
       {/* Results */}
-      {!loading && products.length > 0 && (
+      {!(isPaged && loading) && products.length > 0 && (
         <div className="results-grid">
           {products.map((product) => (
             <div key={product.id} className="product-card">
               <img src={product.thumbnail} alt={product.title} />
 
-              <h3>{highlightText(product.title, debouncedSearch)}</h3>
+              <h3><Highlight text={product.title} query={query} /></h3>
 
               <p className="description-text">
-                {product.description}
+                <Highlight text={product.description} query={query} />
               </p>
 
               <div className="product-footer">
@@ -160,38 +340,43 @@ function LiveSearchAPI() {
       )}
 
       {/* No Results */}
-      {!loading && debouncedSearch && products.length === 0 && (
+      {!loading && isSearchable && products.length === 0 && (
         <div className="no-results">
           <h3>No results found</h3>
-          <p>Please try a different search keyword.</p>
+          <p>{isFiltered ? 'Try removing some filters.' : 'Please try a different search keyword.'}</p>
         </div>
       )}
-    </div>
-  );
-}
 
-/* Highlight helper */
-function highlightText(text, highlight) {
-  if (!highlight.trim()) return text;
-
-  try {
-    const regex = new RegExp(`(${highlight})`, 'gi');
-    const parts = text.split(regex);
-
-    return (
-      <span>
-        {parts.map((part, index) =>
-          part.toLowerCase() === highlight.toLowerCase() ? (
-            <strong key={index}>{part}</strong>
-          ) : (
-            <span key={index}>{part}</span>
-          )
-        )}
-      </span>
-    );
-  } catch {
-    return text;
-  }
+      {isSearchable && isPaged && (
+        <Pagination
+          page={page}
+          totalPages={totalPages}
+          totalItems={total}
+          pageSize={pageSize}
+          onPageChange={goToPage}
+          onPageIntent={prefetchPage}
+          disabled={loading}
+          label="Search result pages"
+        />
+      )}
+
+      {isSearchable && !isPaged && serverResults.length > 0 && (
+        <div className="flex flex-col items-center gap-2 my-6">
+          <p>Loaded {serverResults.length} of {totalResults}</p>
+          {hasMore && !error && (
+            <button
+              type="button"
+              onClick={nextPage}
+              disabled={loading}
+              className="px-4 py-2 bg-blue-600 text-white rounded disabled:opacity-50"
+            >
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          )}
+        </div>
+      )}
+    </>
+  );
 }
 
 export default LiveSearchAPI;
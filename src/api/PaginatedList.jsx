@@ -1,50 +1,41 @@
-import { useEffect, useState } from "react"
-import { getUsersPaginated } from './userService';
+import { usersService } from './userService';
+import { usePaginatedQuery } from '../hooks/usePaginatedQuery';
+import { servicePageAdapter } from './paginationAdapters';
+import { useUrlState } from '../hooks/useUrlState';
+import Pagination from '../components/Pagination.jsx';
+import ErrorNotice from '../components/ErrorNotice.jsx';
 
-export function PaginatedList() {
-    const [loading, setLoading] = useState(false);
-    const [error, setError] = useState(null);
-    const [page, setPage] = useState(1);
-    const [users, setUsers] = useState([]);
-
-    const POSTS_PER_PAGE = 10;
-    const TOTAL_POSTS = 100;
-    const totalPages = Math.ceil(TOTAL_POSTS / POSTS_PER_PAGE); 
-
-
-    useEffect(() => {
-        const fetchPosts = async () => {
-            try{
-                // const response = await fetch(
-                // `https://reqres.in/api/users?page=${page}&per_page=${POSTS_PER_PAGE}`, 
-                // { headers: { 'x-api-key': 'reqres_9c58e2a469fe4984bf1dc39255ee611d' } }
-                // );
-                const response = await getUsersPaginated(page, POSTS_PER_PAGE)
-
-                const data = response.data.data;
-                setUsers(data);
-            } catch (err) {
-                const errorMessage = err.response?.message || err.message || 'Failed to fetch the users';
-                setError(errorMessage);
-            } finally {
-                setLoading = false;
-            }
-        };
-
-        fetchPosts();
-    },[page]);
+const POSTS_PER_PAGE = 10;
+const PAGE_SIZE_OPTIONS = [5, 10, 12];
+const URL_STATE_DEFAULTS = { page: 1, pageSize: POSTS_PER_PAGE };
 
-    const handleNext = () => {
-        setPage((prevPage) => Math.min(totalPages, prevPage+1));
-    };
+const fetchUsers = (params, { signal, onRetry, onQueueChange, prefetch }) =>
+    usersService.list(params, { signal, onRetry, onQueueChange, prefetch, cancelKey: 'paginated-list' });
 
-    const handlePrevious = () => {
-        setPage((prevPage)=>Math.max(1, prevPage - 1));
-    };
-
-    const goToPage = (pageNumber) => {
-        setPage(pageNumber);
-    };
+export function PaginatedList() {
+    const [urlState, setUrlState] = useUrlState(URL_STATE_DEFAULTS, { prefix: 'list' });
+
+    const {
+        items: users,
+        page,
+        pageSize,
+        total,
+        totalPages: knownTotalPages,
+        loading,
+        error,
+        retry,
+        queued,
+        goToPage,
+        setPageSize,
+        prefetchPage,
+        retryFailed,
+    } = usePaginatedQuery(fetchUsers, servicePageAdapter, {
+        page: urlState.page,
+        pageSize: urlState.pageSize,
+        onPageChange: (page) => setUrlState({ page }),
+        onPageSizeChange: (pageSize) => setUrlState({ pageSize, page: 1 }),
+    });
+    const totalPages = knownTotalPages ?? 0;
 
     return (
         <div>
@@ -56,39 +47,23 @@ export function PaginatedList() {
                 Page {page} of {totalPages}
             </span>
 
-            <div>
-                <button
-                    onClick={handleNext}
-                    disabled={page === totalPages || loading}
-                >
-                    Next
-                </button>
-
-                <button
-                    onClick={handlePrevious}
-                    disabled={page === 1 || loading}
-                >
-                    Previous
-                </button>
-            </div>
-
-            {loading && <p>Loading Posts for page {page}</p>}
-            {error && <p>Error: {error}</p>}
+            {loading && <p>{queued ? 'Waiting' : 'Loading'} Posts for page {page}{retry && ` - retrying (${retry.attempt}/${retry.maxAttempts})…`}</p>}
+            {error && <ErrorNotice error={error} onRetry={retryFailed} />}
 
             {!loading && !error && (
                 <div>
-                    {users.map((user) => (
+                    {users.map((user, index) => (
                         <div key={user.id}>
-                            <h3>Post #{(page-1) * POSTS_PER_PAGE + users.indexOf(user) + 1}</h3>
+                            <h3>Post #{(page-1) * pageSize + index + 1}</h3>
                             {/* <h4>{user.title}</h4>
                             <p>{user.body}</p> */}
                             <img 
                             src={user.avatar} 
-                            alt={`${user.first_name} ${user.last_name}`}
+                            alt={user.fullName}
                             style={{ width: '60px', height: '60px', borderRadius: '50%' }}
                             />
                             <div>
-                            <h3>{user.first_name} {user.last_name}</h3>
+                            <h3>{user.fullName}</h3>
                             <p style={{ margin: '5px 0', color: '#666' }}>{user.email}</p>
                             <p style={{ margin: '5px 0', fontSize: '0.9em', color: '#888' }}>User ID: {user.id}</p>
                             </div>
@@ -97,25 +72,18 @@ export function PaginatedList() {
                 </div>
             )}
 
-            <div className="page-jumper">
-                <p>Jump to page:</p>
-                <div className="page-buttons">
-                {/* Create buttons for each page */}
-                {[...Array(totalPages)].map((_, index) => {
-                    const pageNum = index + 1;
-                    return (
-                    <button
-                        key={pageNum}
-                        onClick={() => goToPage(pageNum)}
-                        className={`${page === pageNum ? 'active' : ''}`}
-                        disabled={loading}
-                    >
-                        {pageNum}
-                    </button>
-                    );
-                })}
-                </div>
-            </div>
+            <Pagination
+                page={page}
+                totalPages={totalPages}
+                totalItems={total}
+                pageSize={pageSize}
+                pageSizeOptions={PAGE_SIZE_OPTIONS}
+                onPageChange={goToPage}
+                onPageSizeChange={setPageSize}
+                onPageIntent={prefetchPage}
+                disabled={loading}
+                label="List pages"
+            />
         </div>
     );
 };
\ No newline at end of file
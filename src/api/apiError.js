@@ -0,0 +1,141 @@
+/*
+  Normalized API errors
+
+  Every failure leaving the HTTP layer is an ApiError, whatever went
+  wrong (axios error, cancellation, a bug in a response parser):
+
+    error.kind       'network' | 'timeout' | 'auth' | 'not-found' |
+                     'rate-limited' | 'server' | 'validation' |
+                     'invalid-response' | 'aborted' | 'unknown'
+    error.status     HTTP status, or null without a response
+    error.message    text that can be shown to users as it is
+    error.detail     the original technical message, for logs
+    error.retryable  whether trying again later may succeed
+    error.issues     for 'invalid-response': what did not match the
+                     expected schema, by path (see schema.js)
+
+  `response` and `config` of the axios error are kept for callers that
+  need the body or the request.
+*/
+
+export const ERROR_KINDS = [
+    'network',
+    'timeout',
+    'auth',
+    'not-found',
+    'rate-limited',
+    'server',
+    'validation',
+    'invalid-response',
+    'aborted',
+    'unknown',
+];
+
+const RETRYABLE_KINDS = ['network', 'timeout', 'rate-limited', 'server'];
+
+const MESSAGES = {
+    network: 'The server could not be reached. Check your connection and try again.',
+    timeout: 'The server took too long to respond. Please try again.',
+    auth: 'Please log in to continue.',
+    forbidden: 'You do not have permission to do that.',
+    'not-found': 'We could not find what you were looking for.',
+    'rate-limited': 'Too many requests. Please wait a moment and try again.',
+    server: 'The server ran into a problem. Please try again.',
+    validation: 'The request was not accepted. Check the details and try again.',
+    'invalid-response': 'We received data we could not read. Please try again later.',
+    aborted: 'The request was cancelled.',
+    unknown: 'Something went wrong. Please try again.',
+};
+
+export class ApiError extends Error {
+    /**
+     * @param {object} fields
+     * @param {string} fields.kind - One of ERROR_KINDS
+     * @param {string} [fields.message] - User-facing text (defaults by kind)
+     * @param {number} [fields.status]
+     * @param {string} [fields.detail] - Technical message
+     * @param {string} [fields.code] - axios error code (ERR_CANCELED...)
+     * @param {object} [fields.response] - axios response
+     * @param {object} [fields.config] - axios request config
+     * @param {Error} [fields.cause] - Original error
+     * @param {object[]} [fields.issues] - Schema mismatches
+     */
+    constructor({ kind, message, status = null, detail, code, response, config, cause, issues = [] }) {
+        super(message || MESSAGES[kind] || MESSAGES.unknown, { cause });
+        this.name = 'ApiError';
+        this.kind = kind;
+        this.status = status;
+        this.detail = detail ?? this.message;
+        this.code = code;
+        this.retryable = RETRYABLE_KINDS.includes(kind);
+        this.response = response;
+        this.config = config;
+        this.issues = issues;
+    }
+}
+
+const kindForStatus = (status) => {
+    if (status === 401 || status === 403) return 'auth';
+    if (status === 404 || status === 410) return 'not-found';
+    if (status === 429) return 'rate-limited';
+    if (status === 408) return 'timeout';
+    if (status >= 500) return 'server';
+    if (status >= 400) return 'validation';
+    return 'unknown';
+};
+
+// reqres / dummyjson put a readable reason in `error` or `message`
+const serverMessage = (data) => {
+    const text = data?.error ?? data?.message;
+    return typeof text === 'string' && text.trim() ? text : null;
+};
+
+const messageFor = (kind, status, data) => {
+    if (kind === 'validation') {
+        const text = serverMessage(data);
+        if (text) return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+    if (status === 403) return MESSAGES.forbidden;
+    return MESSAGES[kind];
+};
+
+/**
+ * Whether an error (normalized or not) is a cancellation
+ * @param {Error} error
+ */
+export const isAbortError = (error) =>
+    error?.kind === 'aborted'
+    || error?.name === 'AbortError'
+    || error?.name === 'CanceledError'
+    || error?.code === 'ERR_CANCELED';
+
+/**
+ * Turn anything thrown by a request into an ApiError
+ * @param {Error} error - axios error, cancellation, or any other error
+ * @returns {ApiError}
+ */
+export const toApiError = (error) => {
+    if (error instanceof ApiError) return error;
+
+    const base = { detail: error?.message, code: error?.code, config: error?.config, cause: error };
+
+    if (isAbortError(error)) {
+        return new ApiError({ ...base, kind: 'aborted' });
+    }
+
+    if (error?.response) {
+        const { status, data } = error.response;
+        const kind = kindForStatus(status);
+        return new ApiError({ ...base, kind, status, message: messageFor(kind, status, data), response: error.response });
+    }
+
+    if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT') {
+        return new ApiError({ ...base, kind: 'timeout' });
+    }
+
+    if (error?.request || error?.code === 'ERR_NETWORK') {
+        return new ApiError({ ...base, kind: 'network' });
+    }
+
+    return new ApiError({ ...base, kind: 'unknown' });
+};
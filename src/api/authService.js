@@ -0,0 +1,71 @@
+import { post } from './axiosConfig'
+import { parseResponse, s } from './schema'
+import { isValidEmail } from './userService'
+
+/*
+  reqres.in auth endpoints
+
+  Both return a token ({ token } for login, { id, token } for register).
+  reqres only knows its sample users, e.g. eve.holt@reqres.in with any
+  password; other emails fail with 400 { error }.
+
+  A 401 from these endpoints means a bad API key, not a bad password,
+  so they opt out of the global "go to login" handling. They are also
+  marked sensitive: the network log (networkLog.js) keeps the password
+  and the returned token out of the inspector.
+*/
+
+const authConfig = { requiresApiKey: true, skipAuthRedirect: true, sensitive: true }
+
+const tokenSchema = s.object({ token: s.string() })
+
+/**
+ * Check login / register form values
+ * @param {{ email: string, password: string, confirmPassword?: string }} values
+ * @param {object} options
+ * @param {boolean} [options.confirm] - Also check confirmPassword (register)
+ * @returns {object} Field name -> error message; empty when valid
+ */
+export const validateCredentials = (values, { confirm = false } = {}) => {
+    const errors = {}
+    const email = values.email?.trim() ?? ''
+
+    if (!email) errors.email = 'Email is required'
+    else if (!isValidEmail(email)) errors.email = 'Enter a valid email address'
+
+    if (!values.password) errors.password = 'Password is required'
+
+    if (confirm && values.confirmPassword !== values.password) {
+        errors.confirmPassword = 'Passwords do not match'
+    }
+
+    return errors
+}
+
+/**
+ * @param {{ email: string, password: string }} credentials
+ * @returns {Promise} Response with { token }
+ */
+export const login = async (credentials, config={}) => {
+    const response = await post('/login', credentials, { ...authConfig, ...config })
+    parseResponse(tokenSchema, response)
+    return response
+}
+
+/**
+ * @param {{ email: string, password: string }} credentials
+ * @returns {Promise} Response with { id, token }
+ */
+export const register = async (credentials, config={}) => {
+    const response = await post('/register', credentials, { ...authConfig, ...config })
+    parseResponse(tokenSchema, response)
+    return response
+}
+
+/**
+ * Message to show for a failed login / register
+ * @param {Error} error - ApiError (see apiError.js)
+ */
+export const getAuthErrorMessage = (error) =>
+    // Here a 401 is about the API key; wrong credentials come back as 400
+    error.kind === 'auth' ? 'The API key was rejected. Check VITE_REQRES_API_KEY.' : error.message
@@ -1,120 +1,261 @@
 import axios from "axios";
+import { withResponseCache } from "./responseCache";
+import { getRetryPlan, waitForRetry } from "./retryPolicy";
+import { withDeduplication, withLatestWins } from "./requestControl";
+import { configureQueue, withRequestQueue } from "./requestQueue";
+import { toApiError } from "./apiError";
+import { logger } from "./logger";
+import { loggableBody, recordFailure, recordRequest, recordResponse } from "./networkLog";
+import { DEFAULT_CLIENTS, getExtraClientNames, readClientConfig } from "./clientConfig";
+import { mockAdapter, mockControls } from "../mocks/mockAdapter";
+import { getToken, handleUnauthorized } from "../auth/session";
 
-const axiosInstance = axios.create({
-    baseURL: 'https://reqres.in/api',
-    timeout: 10000,
+// VITE_USE_MOCK_API=true answers every request from local fixtures
+// (see src/mocks/mockAdapter.js) instead of the real APIs
+const useMockApi = import.meta.env.VITE_USE_MOCK_API === 'true';
 
-    headers: {
-        'Content-Type' : 'application/json',
-        'Accept' : 'application/json'
+// Adapter pipeline, outermost first, shared by every client:
+//   latest-wins cancellation ({ cancelKey }, see requestControl.js)
+//   response cache ({ cache: false } to opt out, see responseCache.js)
+//   in-flight GET deduplication ({ dedupe: false } to opt out)
+//   per-client rate limit and priority queue ({ priority }, see requestQueue.js)
+//   network (or the offline mock backend)
+const networkAdapter = useMockApi
+  ? mockAdapter
+  : axios.getAdapter(axios.defaults.adapter);
+
+const pipelineAdapter = withLatestWins(
+  withResponseCache(withDeduplication(withRequestQueue(networkAdapter)))
+);
+
+if (useMockApi) {
+  logger.info('Mock API enabled - use window.mockApi to inject latency and errors');
+  window.mockApi = mockControls;
+}
+
+const warnedMissingKeys = new Set();
+
+const applyAuth = (config, strategies) => {
+  strategies.forEach((strategy) => {
+    if (strategy.type === 'apiKey' && config.requiresApiKey) {
+      if (strategy.value) {
+        config.headers[strategy.header] = strategy.value;
+      } else if (!warnedMissingKeys.has(config.clientName)) {
+        warnedMissingKeys.add(config.clientName);
+        logger.warn(`No API key configured for "${config.clientName}" - set VITE_API_${config.clientName.toUpperCase()}_API_KEY`);
+      }
     }
-});
-
-axiosInstance.interceptors.request.use(
-  (config) => {
-    // Log the request for debugging (helpful for learning!)
-    console.log('Request:', {
-      method: config.method?.toUpperCase(),
-      url: config.url,
-      fullURL: config.baseURL + config.url,
-      params: config.params,
-      data: config.data,
-    });
-
-    // Example: Add auth token if available
-    // const token = localStorage.getItem('authToken');
-    // if (token) {
-    //   config.headers.Authorization = `Bearer ${token}`;
-    // }
-
-    // Example: Add API key to headers
-    if (config.requiresApiKey) {
-      config.headers['x-api-key'] = 'reqres_9c58e2a469fe4984bf1dc39255ee611d';
+
+    if (strategy.type === 'bearer') {
+      const token = getToken();
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+      // Only a 401 on a request that carried the token means the session expired
+      config.sentSessionToken = Boolean(token);
     }
+  });
+};
 
-    // Add timestamp to track request duration
-    config.metadata = { startTime: new Date().getTime() };
+// Headers holding credentials, kept out of the network log export
+const sensitiveHeaders = (client) => [
+  'Authorization',
+  ...client.auth.filter((strategy) => strategy.type === 'apiKey').map((strategy) => strategy.header),
+];
 
-    return config;
-  },
-  (error) => {
-    // Handle request errors (e.g., network issues before request is sent)
-    console.error('Request Error:', error);
-    return Promise.reject(error);
-  }
-);
+const attachInterceptors = (instance, client) => {
+  instance.interceptors.request.use(
+    (config) => {
+      // API key / session token, as configured for this client
+      config.clientName = client.name;
+      applyAuth(config, client.auth);
 
-axiosInstance.interceptors.response.use(
-  (response) => {
-    // Calculate request duration
-    const duration = new Date().getTime() - response.config.metadata.startTime;
-
-    // Log successful response
-    console.log('Response:', {
-      status: response.status,
-      url: response.config.url,
-      duration: `${duration}ms`,
-      data: response.data,
-    });
-
-    // Return the response data
-    // You can transform it here if needed
-    return response;
-  },
-  (error) => {
-    /**
-     * CENTRALIZED ERROR HANDLING
-     * 
-     * This catches ALL errors from API calls in one place!
-     * Much cleaner than handling errors in every component.
-     */
-
-    if (error.response) {
-      // Server responded with error status code (4xx, 5xx)
-      console.error('Response Error:', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        url: error.config?.url,
-        data: error.response.data,
+      // Add timestamp to track request duration
+      config.metadata = { startTime: new Date().getTime() };
+
+      // Network inspector timeline (see networkLog.js); log level "debug"
+      // also prints every request
+      recordRequest(config, { sensitiveHeaders: sensitiveHeaders(client) });
+      logger.debug('Request:', {
+        client: client.name,
+        method: config.method?.toUpperCase(),
+        url: config.url,
+        fullURL: config.baseURL + config.url,
+        params: config.params,
+        data: loggableBody(config, config.data),
       });
 
-      // Handle specific status codes
-      switch (error.response.status) {
-        case 400:
-          console.error('Bad Request - Check your data');
-          break;
-        case 401:
-          console.error('Unauthorized - Please login');
-          // Example: Redirect to login
-          // window.location.href = '/login';
-          break;
-        case 403:
-          console.error('Forbidden - You don\'t have permission');
-          break;
-        case 404:
-          console.error('Not Found - Resource doesn\'t exist');
-          break;
-        case 500:
-          console.error('Server Error - Try again later');
-          break;
-        default:
-          console.error('An error occurred');
-      }
-    } else if (error.request) {
-      // Request was made but no response received (network error)
-      console.error('Network Error:', {
-        message: 'No response from server',
-        url: error.config?.url,
+      return config;
+    },
+    (error) => {
+      // Handle request errors (e.g., network issues before request is sent)
+      logger.error('Request Error:', error);
+      return Promise.reject(error);
+    }
+  );
+
+  instance.interceptors.response.use(
+    (response) => {
+      // Calculate request duration
+      const duration = new Date().getTime() - response.config.metadata.startTime;
+
+      // Log successful response
+      recordResponse(response);
+      logger.debug('Response:', {
+        status: response.status,
+        url: response.config.url,
+        duration: `${duration}ms`,
+        cache: response.fromCache ? (response.stale ? 'stale' : 'hit') : 'miss',
+        deduplicated: Boolean(response.deduplicated),
+        data: loggableBody(response.config, response.data),
       });
-    } else {
-      // Something else happened (e.g., request setup error)
-      console.error('Error:', error.message);
+
+      // Return the response data
+      // You can transform it here if needed
+      return response;
+    },
+    async (error) => {
+      /**
+       * CENTRALIZED ERROR HANDLING
+       * 
+       * This catches ALL errors from API calls in one place!
+       * Much cleaner than handling errors in every component.
+       */
+
+      const apiError = toApiError(error);
+
+      // Transient failures are retried first (see retryPolicy.js)
+      const retryPlan = getRetryPlan(error);
+      recordFailure(apiError, { willRetry: Boolean(retryPlan) });
+
+      if (retryPlan) {
+        const { attempt, maxAttempts, delay } = retryPlan;
+        const config = error.config;
+        config.retryState = { attempt, maxAttempts };
+
+        logger.warn(`Retrying (${attempt}/${maxAttempts}) in ${delay}ms:`, config.url);
+        config.onRetry?.({ attempt, maxAttempts, delay, error });
+
+        try {
+          await waitForRetry(delay, config.signal);
+        } catch (abortError) {
+          return Promise.reject(toApiError(abortError));
+        }
+        return instance(config);
+      }
+
+      if (error.response) {
+        // Server responded with error status code (4xx, 5xx)
+        logger.error('Response Error:', {
+          status: error.response.status,
+          statusText: error.response.statusText,
+          url: error.config?.url,
+          data: loggableBody(error.config, error.response.data),
+        });
+
+        // Handle specific status codes
+        switch (error.response.status) {
+          case 400:
+            logger.error('Bad Request - Check your data');
+            break;
+          case 401:
+            logger.error('Unauthorized - Please login');
+            // Expired session: sign out and go to the login page. A 401
+            // without the token (bad API key...) is left to the caller;
+            // login / register opt out
+            if (error.config?.sentSessionToken && !error.config.skipAuthRedirect) {
+              handleUnauthorized();
+            }
+            break;
+          case 403:
+            logger.error('Forbidden - You don\'t have permission');
+            break;
+          case 404:
+            logger.error('Not Found - Resource doesn\'t exist');
+            break;
+          case 500:
+            logger.error('Server Error - Try again later');
+            break;
+          default:
+            logger.error('An error occurred');
+        }
+      } else if (error.request) {
+        // Request was made but no response received (network error)
+        logger.error('Network Error:', {
+          message: 'No response from server',
+          url: error.config?.url,
+        });
+      } else {
+        // Something else happened (e.g., request setup error)
+        logger.error('Error:', error.message);
+      }
+
+      // Always reject so component can handle it too if needed, as an
+      // ApiError with kind / status / user-facing message (see apiError.js)
+      return Promise.reject(apiError);
     }
+  );
+};
+
+/*
+  Client registry
+
+  One axios instance per backend (see clientConfig.js for the settings
+  and their env overrides). All of them share the adapter pipeline and
+  the interceptors above, so logging, retries, caching, auth and error
+  handling work the same whichever API a component talks to.
+*/
+
+const clients = new Map();
+
+/**
+ * Create (or replace) a named API client
+ * @param {string} name - e.g. 'reqres'
+ * @param {object} options - { baseURL, timeout, headers, auth, maxConcurrent, rateLimit } (see clientConfig.js)
+ * @returns {object} axios instance
+ */
+export const registerClient = (name, options = {}) => {
+  const client = readClientConfig(name, options);
+  const instance = axios.create({
+    baseURL: client.baseURL,
+    timeout: client.timeout,
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...client.headers,
+    },
+    adapter: pipelineAdapter,
+  });
 
-    // Always reject so component can handle it too if needed
-    return Promise.reject(error);
+  attachInterceptors(instance, client);
+  configureQueue(name, { maxConcurrent: client.maxConcurrent, rateLimit: client.rateLimit });
+  clients.set(name, instance);
+  return instance;
+};
+
+/**
+ * @param {string} name - Registered client name
+ * @returns {object} axios instance
+ */
+export const getClient = (name) => {
+  const instance = clients.get(name);
+  if (!instance) {
+    throw new Error(`Unknown API client "${name}" - registered: ${[...clients.keys()].join(', ')}`);
   }
-);
+  return instance;
+};
+
+/**
+ * Names of every registered client
+ */
+export const getClientNames = () => [...clients.keys()];
+
+Object.entries(DEFAULT_CLIENTS).forEach(([name, options]) => registerClient(name, options));
+// Clients configured only through the environment (VITE_API_CLIENTS=github,...)
+getExtraClientNames().forEach((name) => registerClient(name));
+
+// The helpers below and the default export talk to reqres
+const axiosInstance = getClient('reqres');
 
 
 /**
@@ -122,6 +263,11 @@ axiosInstance.interceptors.response.use(
  * @param {string} url - API endpoint
  * @param {object} params - Query parameters
  * @param {object} config - Additional axios config
+ *   (cache: false, cacheTTL, staleWhileRevalidate - see responseCache.js;
+ *    retry, retryDelay, onRetry - see retryPolicy.js;
+ *    cancelKey, dedupe, prefetch - see requestControl.js;
+ *    priority, onQueueChange - see requestQueue.js;
+ *    sensitive - see networkLog.js)
  */
 export const get = (url, params = {}, config = {}) => {
   return axiosInstance.get(url, { params, ...config });
@@ -166,6 +312,10 @@ export const del = (url, config = {}) => {
   return axiosInstance.delete(url, config);
 };
 
+export { invalidateCache } from "./responseCache";
+export { cancelRequests } from "./requestControl";
+export { getLogLevel, setLogLevel } from "./logger";
+
 // Export the configured instance as default
 export default axiosInstance;
 
@@ -184,4 +334,42 @@ export default axiosInstance;
  * // Method 3: Accessing response data
  * const response = await get('/users');
  * const users = response.data; // Axios automatically puts data in .data
+ *
+ * // Method 4: Controlling the response cache
+ * await get('/users', { page: 2 }, { cacheTTL: 30000 }); // fresh for 30s
+ * await get('/users', { page: 2 }, { cache: false });    // always hit the network
+ * invalidateCache('/users');                             // drop every cached /users page
+ *
+ * // Method 5: Retries
+ * await get('/users', {}, { onRetry: ({ attempt, maxAttempts }) => ... });
+ * await post('/users', data, { retry: 2, retryNonIdempotent: true });
+ *
+ * // Method 6: Latest wins - a newer request with the same key aborts the older one
+ * await get('/users', { page }, { cancelKey: 'user-pagination' });
+ * cancelRequests('user-pagination'); // e.g. in a useEffect cleanup
+ *
+ * // Method 7: Background prefetch - warms the cache, no retries, no cancelKey group
+ * await get('/users', { page: page + 1 }, { prefetch: true, cancelKey: 'user-pagination' });
+ *
+ * // Method 8: Auth - the session token is sent as "Authorization: Bearer ..."
+ * const { data } = await login({ email, password }); // see authService.js
+ * saveSession({ token: data.token, email }, { remember: true });
+ * // a 401 on a request sent with the token signs out and redirects to /login;
+ * // opt out with { skipAuthRedirect: true }
+ *
+ * // Method 9: Errors - every failure is an ApiError (see apiError.js)
+ * try { await get('/users/23'); }
+ * catch (error) { error.kind; error.status; error.message; error.retryable; } // 'not-found', 404, ...
+ *
+ * // Method 10: Other backends - every client shares the pipeline above
+ * import { getClient } from './api/axiosConfig';
+ * const response = await getClient('dummyjson').get('/products', { params: { limit: 10 } });
+ * registerClient('github', { baseURL: 'https://api.github.com' }); // or VITE_API_CLIENTS=github
+ *
+ * // Method 11: Debugging - open the "Network" panel (development builds) or
+ * setLogLevel('debug'); // print every request and response (see logger.js)
+ *
+ * // Method 12: Queueing - per-client rate limits, user requests ahead of prefetches
+ * await get('/users', { page }, { priority: 'high', onQueueChange: ({ state, position }) => ... });
+ * // state 'queued' (position in line) then 'in-flight'; aborting the signal drops a queued request
  */
\ No newline at end of file
@@ -0,0 +1,139 @@
+import { logger } from './logger';
+
+/*
+  API client configuration
+
+  One entry per backend. Each value can be overridden from the
+  environment with VITE_API_<NAME>_<SETTING>, where NAME is the client
+  name in upper case:
+
+    VITE_API_REQRES_BASE_URL=https://reqres.in/api
+    VITE_API_REQRES_TIMEOUT=10000
+    VITE_API_REQRES_HEADERS={"x-trace":"demo"}   extra headers, as JSON
+    VITE_API_REQRES_AUTH=apiKey,bearer           auth strategies, or "none"
+    VITE_API_REQRES_API_KEY=...                  for the apiKey strategy
+    VITE_API_REQRES_API_KEY_HEADER=x-api-key
+    VITE_API_REQRES_MAX_CONCURRENT=4             requests on the wire at once
+    VITE_API_REQRES_RATE_LIMIT=4                 requests per second, or "none"
+    VITE_API_REQRES_RATE_BURST=8                 requests allowed back to back
+
+  (VITE_REQRES_API_KEY still works for reqres.)
+
+  More clients can be added with registerClient in axiosConfig.jsx, or
+  from the environment alone:
+
+    VITE_API_CLIENTS=github
+    VITE_API_GITHUB_BASE_URL=https://api.github.com
+
+  Auth strategies, applied in order:
+
+    { type: 'apiKey', header }  sends the API key (header x-api-key
+                                unless set) on requests made with
+                                { requiresApiKey: true }
+    { type: 'bearer' }          sends the signed-in user's token
+                                (src/auth/session.js)
+
+  maxConcurrent and rateLimit ({ perSecond, burst }) feed the request
+  queue (requestQueue.js). The defaults below stay well inside what the
+  public APIs allow; reqres limits by API key.
+*/
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_API_KEY_HEADER = 'x-api-key';
+// Browsers allow about six connections per host anyway
+const DEFAULT_MAX_CONCURRENT = 6;
+const AUTH_TYPES = ['apiKey', 'bearer'];
+
+// Without a key the offline mock would answer 401; any value passes there
+const MOCK_API_KEY = 'mock-api-key';
+
+export const DEFAULT_CLIENTS = {
+    reqres: {
+        baseURL: 'https://reqres.in/api',
+        auth: [{ type: 'apiKey', header: 'x-api-key' }, { type: 'bearer' }],
+        maxConcurrent: 4,
+        rateLimit: { perSecond: 4, burst: 8 },
+    },
+    jsonplaceholder: {
+        baseURL: 'https://jsonplaceholder.typicode.com',
+    },
+    dummyjson: {
+        baseURL: 'https://dummyjson.com',
+        rateLimit: { perSecond: 5, burst: 10 },
+    },
+};
+
+const parseHeaders = (name, value) => {
+    if (!value) return {};
+    try {
+        const headers = JSON.parse(value);
+        return headers && typeof headers === 'object' ? headers : {};
+    } catch {
+        logger.warn(`VITE_API_${name}_HEADERS is not valid JSON; ignored`);
+        return {};
+    }
+};
+
+// "apiKey,bearer" -> [{ type: 'apiKey' }, { type: 'bearer' }]; "none" -> []
+const parseAuth = (value) =>
+    String(value)
+        .split(',')
+        .map((type) => type.trim())
+        .filter((type) => AUTH_TYPES.includes(type))
+        .map((type) => ({ type }));
+
+// "4" -> 4 requests per second (burst from RATE_BURST or the default);
+// "none" / "0" -> no limit
+const parseRateLimit = (value, burst, defaults) => {
+    if (value == null || value === '') {
+        return defaults && burst ? { ...defaults, burst: Number(burst) } : defaults ?? null;
+    }
+    const perSecond = Number(value);
+    if (!(perSecond > 0)) return null;
+    return { perSecond, burst: Number(burst) || defaults?.burst || Math.ceil(perSecond) };
+};
+
+/**
+ * Merge a client's defaults with its environment overrides
+ * @param {string} name - Client name
+ * @param {object} defaults - { baseURL, timeout, headers, auth, maxConcurrent, rateLimit }
+ * @param {object} [env] - import.meta.env
+ * @returns {{ name: string, baseURL: string, timeout: number, headers: object, auth: object[],
+ *   maxConcurrent: number, rateLimit: { perSecond: number, burst: number } | null }}
+ */
+export const readClientConfig = (name, defaults = {}, env = import.meta.env) => {
+    const prefix = `VITE_API_${name.toUpperCase()}_`;
+    const useMockApi = env.VITE_USE_MOCK_API === 'true';
+    const apiKey = env[`${prefix}API_KEY`]
+        || (name === 'reqres' ? env.VITE_REQRES_API_KEY : '')
+        || (useMockApi ? MOCK_API_KEY : '');
+
+    return {
+        name,
+        baseURL: env[`${prefix}BASE_URL`] || defaults.baseURL || '',
+        timeout: Number(env[`${prefix}TIMEOUT`]) || defaults.timeout || DEFAULT_TIMEOUT,
+        headers: { ...defaults.headers, ...parseHeaders(name.toUpperCase(), env[`${prefix}HEADERS`]) },
+        auth: (env[`${prefix}AUTH`] ? parseAuth(env[`${prefix}AUTH`]) : defaults.auth ?? []).map((strategy) =>
+            strategy.type === 'apiKey'
+                ? {
+                    ...strategy,
+                    header: env[`${prefix}API_KEY_HEADER`] || strategy.header || DEFAULT_API_KEY_HEADER,
+                    value: strategy.value ?? apiKey,
+                }
+                : strategy
+        ),
+        maxConcurrent: Number(env[`${prefix}MAX_CONCURRENT`]) || defaults.maxConcurrent || DEFAULT_MAX_CONCURRENT,
+        rateLimit: parseRateLimit(env[`${prefix}RATE_LIMIT`], env[`${prefix}RATE_BURST`], defaults.rateLimit),
+    };
+};
+
+/**
+ * Client names listed in VITE_API_CLIENTS that have no defaults here
+ * @param {object} [env] - import.meta.env
+ * @returns {string[]}
+ */
+export const getExtraClientNames = (env = import.meta.env) =>
+    String(env.VITE_API_CLIENTS ?? '')
+        .split(',')
+        .map((name) => name.trim().toLowerCase())
+        .filter((name) => name && !(name in DEFAULT_CLIENTS));
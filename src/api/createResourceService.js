@@ -0,0 +1,141 @@
+import { getClient } from './axiosConfig';
+import { parseResponse } from './schema';
+
+/*
+  Resource service factory
+
+  Generates the usual CRUD calls for one REST resource, so a service is
+  a few lines of configuration instead of hand-written wrappers:
+
+    export const usersService = createResourceService('/users', {
+        requiresApiKey: true,
+        adapter: reqresAdapter,
+        unwrapItem: (body) => body.data,
+    });
+
+    const { items, page, total, totalPages } = await usersService.list({ page: 2, pageSize: 6 });
+    const user = await usersService.getById(2);
+
+  Other backends are picked by client name:
+  createResourceService('/posts', { client: 'jsonplaceholder', ... })
+
+  - `list` sends the page request in the backend's dialect (through the
+    pagination adapter) and resolves to one normalized page:
+    { items, page, pageSize, total, totalPages, hasMore, nextCursor }.
+    Extra params (filters, sorting...) are passed through as they are.
+    Pass servicePageAdapter to usePaginatedQuery for fetchers built on it.
+  - The other calls resolve to the response body, not the axios response
+  - `config` is the usual per-request axios config (signal, cancelKey,
+    cache, retry...) and is forwarded untouched
+  - `model` ties the resource to an app model (see userService.js):
+      list / item   response schemas (schema.js), checked on every read;
+                    a mismatch rejects with an 'invalid-response' ApiError
+      fromApi       maps each item read or written back into the model
+      toApi         maps model fields to the request body of a write
+    PATCH responses only echo the changed fields, so `patch` maps that
+    echo with fromApi without checking it against the item schema; the
+    fields it lacks come out missing or empty, so merge only the ones
+    that were changed into the item already on screen.
+*/
+
+const identity = (body) => body;
+
+const NO_MODEL = { fromApi: identity, toApi: identity };
+
+const encodeId = (id) => encodeURIComponent(String(id));
+
+/**
+ * @param {string} path - Collection path, relative to the client's base URL
+ * @param {object} options
+ * @param {string|object} [options.client] - Registered client name (see axiosConfig.jsx) or an axios instance
+ * @param {boolean} [options.requiresApiKey] - Send the API key (see axiosConfig.jsx)
+ * @param {object} [options.adapter] - Pagination adapter (src/api/paginationAdapters.js);
+ *   without one, `list` expects the whole collection as a bare array
+ * @param {string} [options.idKey] - Field holding each item's id
+ * @param {function} [options.unwrapItem] - Picks the item out of a single-item response body
+ * @param {object} [options.model] - { list, item, fromApi, toApi }, see above
+ * @returns {object} list, listFrom, getById, create, update, patch, remove
+ */
+export const createResourceService = (path, {
+    client = 'reqres',
+    requiresApiKey = false,
+    adapter = null,
+    idKey = 'id',
+    unwrapItem = identity,
+    model = {},
+} = {}) => {
+    const { list: listSchema, item: itemSchema, fromApi, toApi } = { ...NO_MODEL, ...model };
+    const collectionPath = path.replace(/\/+$/, '');
+    // Looked up per request, so a client registered again later is used
+    const http = () => (typeof client === 'string' ? getClient(client) : client);
+    const itemPath = (id) => `${collectionPath}/${encodeId(id)}`;
+    const withDefaults = (config) => ({ requiresApiKey, ...config });
+
+    const readItem = (response, defaults) => {
+        const body = unwrapItem(response.data);
+        const item = defaults ? { ...defaults, ...body } : body;
+        if (itemSchema) parseResponse(itemSchema, response, item);
+        return fromApi(item);
+    };
+
+    const listFrom = async (url, { page = 1, pageSize = 10, cursor = null, ...params } = {}, config = {}) => {
+        const request = { page, pageSize, cursor };
+        const query = adapter ? { ...adapter.getParams(request), ...params } : params;
+        const response = await http().get(url, { params: query, ...withDefaults(config) });
+        if (listSchema) parseResponse(listSchema, response);
+
+        if (!adapter) {
+            const items = Array.isArray(response.data) ? response.data.map(fromApi) : [];
+            return { items, page: 1, pageSize: items.length, total: items.length, totalPages: 1, hasMore: false, nextCursor: null };
+        }
+
+        const { items, total, totalPages, hasMore, nextCursor } = adapter.parse(response, request);
+        return { items: items.map(fromApi), page, pageSize, total, totalPages, hasMore, nextCursor };
+    };
+
+    return {
+        path: collectionPath,
+        idKey,
+
+        /**
+         * One page of the collection
+         * @param {object} [params] - { page, pageSize, cursor, ...filters }
+         * @param {object} [config]
+         */
+        list: (params, config) => listFrom(collectionPath, params, config),
+
+        /**
+         * One page of a sub-collection that pages like the main one,
+         * e.g. productsService.listFrom('search', { q: 'phone' })
+         * @param {string} subPath - Relative to the collection path
+         */
+        listFrom: (subPath, params, config) => listFrom(`${collectionPath}/${subPath}`, params, config),
+
+        getById: async (id, config = {}) => {
+            const response = await http().get(itemPath(id), withDefaults(config));
+            return readItem(response);
+        },
+
+        create: async (data, config = {}) => {
+            const response = await http().post(collectionPath, toApi(data), withDefaults(config));
+            return readItem(response);
+        },
+
+        /** Replace every field (PUT) */
+        update: async (id, data, config = {}) => {
+            const response = await http().put(itemPath(id), toApi(data), withDefaults(config));
+            // Some APIs (reqres) leave the id out of the echo
+            return readItem(response, { [idKey]: id });
+        },
+
+        /** Change some fields (PATCH); resolves to the mapped echo, see above */
+        patch: async (id, changes, config = {}) => {
+            const response = await http().patch(itemPath(id), toApi(changes), withDefaults(config));
+            return fromApi({ [idKey]: id, ...unwrapItem(response.data) });
+        },
+
+        remove: async (id, config = {}) => {
+            await http().delete(itemPath(id), withDefaults(config));
+        },
+    };
+};
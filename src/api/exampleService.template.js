@@ -0,0 +1,55 @@
+import { createResourceService } from './createResourceService'
+import { createJsonPlaceholderAdapter } from './paginationAdapters'
+import { s } from './schema'
+
+/*
+  Template for a new API service
+
+  Copy this file to src/api/<resource>Service.js, point it at the
+  resource and delete what you do not need. userService.js,
+  postService.js and productService.js are built the same way.
+
+  1. Pick the API client (axiosConfig.jsx / clientConfig.js; 'reqres'
+     by default) and the collection path relative to its base URL
+  2. Pick the pagination adapter for the backend (paginationAdapters.js)
+  3. Set requiresApiKey for reqres, unwrapItem if single items come
+     wrapped (reqres: { data: {...} })
+  4. Declare the response shapes with schema.js and pass them as
+     `model` (plus fromApi / toApi when the app model differs)
+
+  Usage in a component:
+
+    const fetchComments = (params, { signal, onRetry, prefetch }) =>
+        commentsService.list(params, { signal, onRetry, prefetch, cancelKey: 'comments' })
+
+    usePaginatedQuery(fetchComments, servicePageAdapter, { pageSize: 20 })
+
+    const comment = await commentsService.getById(1)
+    await commentsService.patch(1, { body: 'Edited' })
+*/
+
+const commentSchema = s.object({
+    id: s.id(),
+    postId: s.id(),
+    name: s.string(),
+    email: s.string(),
+    body: s.string(),
+})
+
+export const commentsService = createResourceService('/comments', {
+    client: 'jsonplaceholder',
+    adapter: createJsonPlaceholderAdapter(),
+    model: {
+        list: s.array(commentSchema),
+        item: commentSchema,
+    },
+})
+
+/**
+ * Endpoints that do not fit CRUD get a small function next to the
+ * service, e.g. the comments of one post (paged like the collection)
+ * @param {number} postId
+ * @param {object} [params] - { page, pageSize }
+ */
+export const listCommentsForPost = (postId, params = {}, config = {}) =>
+    commentsService.list({ postId, ...params }, config)
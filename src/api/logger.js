@@ -0,0 +1,65 @@
+/*
+  Log level
+
+  Console output of the HTTP layer (and the rest of the app) goes
+  through this logger instead of calling console directly:
+
+    silent < error < warn < info < debug
+
+  - debug   every request and response (what axiosConfig used to print)
+  - info    notable events (mock backend enabled...)
+  - warn    retries, configuration problems
+  - error   failed requests, unexpected responses, render errors
+
+  The level comes from VITE_LOG_LEVEL, defaulting to "info" in
+  development and "silent" in production builds. It can be changed at
+  runtime (the network inspector has a picker); that choice is kept in
+  localStorage.
+*/
+
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+const STORAGE_KEY = 'api.logLevel';
+
+const isLevel = (value) => LOG_LEVELS.includes(value);
+
+const defaultLevel = () => {
+    const configured = import.meta.env.VITE_LOG_LEVEL;
+    if (isLevel(configured)) return configured;
+    return import.meta.env.PROD ? 'silent' : 'info';
+};
+
+const readStoredLevel = () => {
+    try {
+        const stored = window.localStorage.getItem(STORAGE_KEY);
+        return isLevel(stored) ? stored : null;
+    } catch {
+        return null;
+    }
+};
+
+let level = readStoredLevel() ?? defaultLevel();
+
+export const getLogLevel = () => level;
+
+/**
+ * @param {string} next - One of LOG_LEVELS
+ */
+export const setLogLevel = (next) => {
+    if (!isLevel(next)) throw new Error(`Unknown log level "${next}" - use one of ${LOG_LEVELS.join(', ')}`);
+    level = next;
+    try {
+        window.localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+        // Storage blocked: the level lasts until the page is reloaded
+    }
+};
+
+const enabled = (messageLevel) => LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(messageLevel);
+
+export const logger = {
+    error: (...args) => enabled('error') && console.error(...args),
+    warn: (...args) => enabled('warn') && console.warn(...args),
+    info: (...args) => enabled('info') && console.info(...args),
+    debug: (...args) => enabled('debug') && console.log(...args),
+};
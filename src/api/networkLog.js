@@ -0,0 +1,302 @@
+import { useSyncExternalStore } from 'react';
+import axios from 'axios';
+
+/*
+  Network log
+
+  Every request made through the API clients is recorded here by the
+  interceptors in axiosConfig.jsx, for the in-app network inspector
+  (src/components/NetworkInspector.jsx). One entry per attempt:
+
+    { id, client, method, url, fullURL, params, requestHeaders,
+      requestBody, requestOptions, sensitive, startedAt, state: 'pending' | 'done' | 'failed',
+      status, duration, size, responseHeaders, responseBody,
+      cache: 'hit' | 'stale' | 'miss', deduplicated, prefetch, replay,
+      retry: { attempt, maxAttempts } | null, willRetry,
+      queued, queueTime, errorKind, errorMessage, issues }
+
+  A retried request shows up as one failed entry per attempt plus the
+  final one. Requests sent with { sensitive: true } (login, register)
+  are recorded with both bodies redacted, so passwords and tokens never
+  reach the inspector or its exports.
+
+  Recording is on in development, or with VITE_NETWORK_INSPECTOR=true;
+  only the latest MAX_ENTRIES are kept.
+*/
+
+export const networkLogEnabled =
+    import.meta.env.DEV || import.meta.env.VITE_NETWORK_INSPECTOR === 'true';
+
+const MAX_ENTRIES = 200;
+
+const REDACTED = '[redacted]';
+
+let entries = [];
+let nextId = 0;
+const listeners = new Set();
+
+const setEntries = (next) => {
+    entries = next;
+    listeners.forEach((listener) => listener());
+};
+
+const updateEntry = (id, fields) => {
+    if (!entries.some((entry) => entry.id === id)) return;
+    setEntries(entries.map((entry) => (entry.id === id ? { ...entry, ...fields } : entry)));
+};
+
+const plainHeaders = (headers) => {
+    const object = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    return Object.fromEntries(
+        Object.entries(object).filter(([, value]) => value != null && value !== false && typeof value !== 'object')
+    );
+};
+
+/**
+ * A request or response body as it may be logged: redacted for requests
+ * sent with { sensitive: true }
+ * @param {object} config - axios request config
+ * @param {*} body
+ */
+export const loggableBody = (config, body) => (config?.sensitive ? REDACTED : body);
+
+const sizeOf = (response) => {
+    const length = Number(response.headers?.['content-length']);
+    if (length > 0) return length;
+    if (response.data == null || response.data === '') return 0;
+    const text = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+    return new TextEncoder().encode(text).length;
+};
+
+/**
+ * Called by the request interceptor
+ * @param {object} config - axios request config (metadata.startTime set)
+ * @param {object} options
+ * @param {string[]} [options.sensitiveHeaders] - Left out of exports
+ */
+export const recordRequest = (config, { sensitiveHeaders = [] } = {}) => {
+    if (!networkLogEnabled) return;
+
+    nextId += 1;
+    config.metadata.logId = nextId;
+
+    const entry = {
+        id: nextId,
+        client: config.clientName,
+        method: (config.method ?? 'get').toUpperCase(),
+        url: config.url,
+        baseURL: config.baseURL,
+        fullURL: axios.getUri({ baseURL: config.baseURL, url: config.url, params: config.params }),
+        params: config.params,
+        requestHeaders: plainHeaders(config.headers),
+        requestBody: loggableBody(config, config.data),
+        // Per-request options the interceptors act on, needed to replay it
+        requestOptions: {
+            requiresApiKey: Boolean(config.requiresApiKey),
+            skipAuthRedirect: Boolean(config.skipAuthRedirect),
+            priority: config.priority,
+        },
+        sensitiveHeaders,
+        sensitive: Boolean(config.sensitive),
+        startedAt: config.metadata.startTime,
+        state: 'pending',
+        status: null,
+        duration: null,
+        size: null,
+        cache: 'miss',
+        deduplicated: false,
+        prefetch: Boolean(config.prefetch),
+        replay: Boolean(config.replay),
+        retry: config.retryState ?? null,
+        willRetry: false,
+    };
+    setEntries([...entries, entry].slice(-MAX_ENTRIES));
+};
+
+/**
+ * Called by the response interceptor for every successful response
+ * @param {object} response - axios response
+ */
+export const recordResponse = (response) => {
+    const { metadata } = response.config ?? {};
+    if (!metadata?.logId) return;
+
+    updateEntry(metadata.logId, {
+        state: 'done',
+        status: response.status,
+        statusText: response.statusText,
+        duration: Date.now() - metadata.startTime,
+        size: sizeOf(response),
+        responseHeaders: plainHeaders(response.headers),
+        responseBody: loggableBody(response.config, response.data),
+        cache: response.fromCache ? (response.stale ? 'stale' : 'hit') : 'miss',
+        deduplicated: Boolean(response.deduplicated),
+    });
+};
+
+/**
+ * Called by the error interceptor
+ * @param {object} error - ApiError (see apiError.js)
+ * @param {object} options
+ * @param {boolean} [options.willRetry] - Another attempt follows
+ */
+export const recordFailure = (error, { willRetry = false } = {}) => {
+    const metadata = error.config?.metadata;
+    if (!metadata?.logId) return;
+
+    updateEntry(metadata.logId, {
+        state: 'failed',
+        status: error.status,
+        statusText: error.response?.statusText,
+        duration: Date.now() - metadata.startTime,
+        size: error.response ? sizeOf(error.response) : null,
+        responseHeaders: error.response ? plainHeaders(error.response.headers) : null,
+        responseBody: loggableBody(error.config, error.response?.data),
+        errorKind: error.kind,
+        errorMessage: error.detail,
+        willRetry,
+    });
+};
+
+/**
+ * Called by the request queue (requestQueue.js); `queueTime` is how long
+ * the request waited for a slot, and is part of `duration`
+ * @param {object} config - axios request config
+ * @param {'queued' | 'in-flight'} state
+ */
+export const recordQueueState = (config, state) => {
+    const logId = config?.metadata?.logId;
+    const entry = logId && entries.find((candidate) => candidate.id === logId);
+    if (!entry) return;
+
+    if (state === 'queued' && !entry.queued) {
+        updateEntry(logId, { queued: true, queuedAt: Date.now() });
+    } else if (state === 'in-flight' && entry.queued) {
+        updateEntry(logId, { queued: false, queueTime: Date.now() - entry.queuedAt });
+    }
+};
+
+/**
+ * A response that did not match its schema (see schema.js)
+ * @param {object} config - axios request config of the response
+ * @param {object[]} issues
+ */
+export const recordInvalidResponse = (config, issues) => {
+    const logId = config?.metadata?.logId;
+    if (logId) updateEntry(logId, { errorKind: 'invalid-response', issues });
+};
+
+export const clearNetworkLog = () => setEntries([]);
+
+export const getNetworkLog = () => entries;
+
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * Every recorded entry, oldest first, re-rendering as requests progress
+ */
+export const useNetworkLog = () => useSyncExternalStore(subscribe, getNetworkLog);
+
+// Filtering
+
+/**
+ * Status group of an entry, for filtering
+ * @returns {'pending' | '2xx' | '3xx' | '4xx' | '5xx' | 'no-response'}
+ */
+export const statusGroup = (entry) => {
+    if (entry.state === 'pending') return 'pending';
+    if (!entry.status) return 'no-response';
+    return `${Math.floor(entry.status / 100)}xx`;
+};
+
+// Exports
+
+const bodyText = (body) => {
+    if (body == null || body === '') return null;
+    return typeof body === 'string' ? body : JSON.stringify(body);
+};
+
+const quote = (text) => `'${String(text).replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Headers with the values of the sensitive ones (API key, token) replaced,
+ * for display and exports
+ * @param {object} headers - Header name -> value
+ * @param {string[]} [sensitive] - Names to redact, any case
+ * @returns {object}
+ */
+export const redactHeaders = (headers, sensitive = []) => {
+    const hidden = sensitive.map((name) => name.toLowerCase());
+    return Object.fromEntries(
+        Object.entries(headers ?? {}).map(([name, value]) => [name, hidden.includes(name.toLowerCase()) ? REDACTED : value])
+    );
+};
+
+/**
+ * The request as a curl command
+ * @param {object} entry
+ * @param {object} [options]
+ * @param {boolean} [options.withCredentials] - Keep the real API key and token
+ *   headers, so the command can be run as is
+ */
+export const toCurl = (entry, { withCredentials = false } = {}) => {
+    const body = bodyText(entry.requestBody);
+    const headers = withCredentials ? entry.requestHeaders : redactHeaders(entry.requestHeaders, entry.sensitiveHeaders);
+    const command = ['curl', entry.method === 'GET' ? null : `-X ${entry.method}`, quote(entry.fullURL)];
+    const options = [
+        ...Object.entries(headers).map(([name, value]) => `-H ${quote(`${name}: ${value}`)}`),
+        body ? `--data-raw ${quote(body)}` : null,
+    ];
+    return [command.filter(Boolean).join(' '), ...options.filter(Boolean)].join(' \\\n  ');
+};
+
+const harHeaders = (headers, sensitive) =>
+    Object.entries(redactHeaders(headers, sensitive)).map(([name, value]) => ({ name, value: String(value) }));
+
+const harEntry = (entry) => {
+    const requestBody = bodyText(entry.requestBody);
+    const responseBody = bodyText(entry.responseBody);
+    return {
+        startedDateTime: new Date(entry.startedAt).toISOString(),
+        time: entry.duration ?? -1,
+        request: {
+            method: entry.method,
+            url: entry.fullURL,
+            headers: harHeaders(entry.requestHeaders, entry.sensitiveHeaders),
+            queryString: Object.entries(entry.params ?? {}).map(([name, value]) => ({ name, value: String(value) })),
+            ...(requestBody && { postData: { mimeType: 'application/json', text: requestBody } }),
+        },
+        response: {
+            status: entry.status ?? 0,
+            statusText: entry.statusText ?? '',
+            headers: harHeaders(entry.responseHeaders),
+            content: {
+                size: entry.size ?? -1,
+                mimeType: entry.responseHeaders?.['content-type'] ?? 'application/json',
+                ...(responseBody && { text: responseBody }),
+            },
+        },
+        // Non-standard fields, prefixed with "_" as HAR allows
+        _client: entry.client,
+        _cache: entry.cache,
+        _deduplicated: entry.deduplicated,
+        _prefetch: entry.prefetch,
+        _retry: entry.retry,
+        _error: entry.errorKind ? { kind: entry.errorKind, message: entry.errorMessage, issues: entry.issues } : undefined,
+    };
+};
+
+/**
+ * The entries as a HAR-like object (API key and token headers redacted)
+ * @param {object[]} list - Entries to export
+ */
+export const toHar = (list) => ({
+    log: {
+        version: '1.2',
+        creator: { name: 'network-inspector', version: '1.0' },
+        entries: list.map(harEntry),
+    },
+});
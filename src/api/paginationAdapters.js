@@ -0,0 +1,146 @@
+/*
+  Pagination adapters
+
+  Every backend we talk to speaks its own pagination dialect. An adapter
+  translates between the generic page request used by usePaginatedQuery
+  ({ page, pageSize, cursor }) and the backend's query parameters, and
+  turns the backend's response into one normalized page:
+
+    { items, total, totalPages, hasMore, nextCursor }
+
+  `total` and `totalPages` are null when the backend does not report them.
+  Responses are expected in axios shape ({ data, headers }).
+*/
+
+const readHeader = (headers, name) => {
+    if (!headers) return undefined;
+    if (typeof headers.get === 'function') return headers.get(name);
+    return headers[name] ?? headers[name.toLowerCase()];
+};
+
+const toNumberOrNull = (value) => {
+    const number = Number(value);
+    return value == null || value === '' || Number.isNaN(number) ? null : number;
+};
+
+/**
+ * reqres.in: `page` / `per_page` in, `data` / `total` / `total_pages` out.
+ */
+export const reqresAdapter = {
+    name: 'reqres',
+    getParams: ({ page, pageSize }) => ({ page, per_page: pageSize }),
+    parse: (response, { page }) => {
+        const body = response.data ?? {};
+        const totalPages = toNumberOrNull(body.total_pages);
+        return {
+            items: body.data ?? [],
+            total: toNumberOrNull(body.total),
+            totalPages,
+            hasMore: totalPages == null ? false : page < totalPages,
+            nextCursor: null,
+        };
+    },
+};
+
+/**
+ * jsonplaceholder: `_start` / `_limit` in, a bare array out. The total
+ * comes from the `x-total-count` header, or from `options.total` when the
+ * header is not available.
+ * @param {object} options
+ * @param {number} [options.total] - Known collection size fallback
+ */
+export const createJsonPlaceholderAdapter = ({ total: knownTotal = null } = {}) => ({
+    name: 'jsonplaceholder',
+    getParams: ({ page, pageSize }) => ({
+        _start: (page - 1) * pageSize,
+        _limit: pageSize,
+    }),
+    parse: (response, { page, pageSize }) => {
+        const items = Array.isArray(response.data) ? response.data : [];
+        const total = toNumberOrNull(readHeader(response.headers, 'x-total-count')) ?? knownTotal;
+        const loaded = (page - 1) * pageSize + items.length;
+        return {
+            items,
+            total,
+            totalPages: total == null ? null : Math.ceil(total / pageSize),
+            hasMore: total == null ? items.length === pageSize : loaded < total,
+            nextCursor: null,
+        };
+    },
+});
+
+export const jsonPlaceholderAdapter = createJsonPlaceholderAdapter();
+
+/**
+ * dummyjson: `skip` / `limit` in, `{ [itemsKey], total, skip, limit }` out.
+ * @param {object} options
+ * @param {string} [options.itemsKey] - Response key holding the list (products, users, posts...)
+ */
+export const createDummyJsonAdapter = ({ itemsKey = 'products' } = {}) => ({
+    name: 'dummyjson',
+    getParams: ({ page, pageSize }) => ({
+        skip: (page - 1) * pageSize,
+        limit: pageSize,
+    }),
+    parse: (response, { page, pageSize }) => {
+        const body = response.data ?? {};
+        const items = body[itemsKey] ?? [];
+        const total = toNumberOrNull(body.total);
+        return {
+            items,
+            total,
+            totalPages: total == null ? null : Math.ceil(total / pageSize),
+            hasMore: total == null ? items.length === pageSize : (page - 1) * pageSize + items.length < total,
+            nextCursor: null,
+        };
+    },
+});
+
+export const dummyJsonAdapter = createDummyJsonAdapter();
+
+/**
+ * Cursor / next-token APIs that do not expose totals. Pages can only be
+ * reached by walking forward, so usePaginatedQuery remembers the cursor it
+ * received for each page.
+ * @param {object} options
+ * @param {string} [options.cursorParam] - Query parameter carrying the cursor
+ * @param {string} [options.limitParam] - Query parameter carrying the page size
+ * @param {function} [options.getItems] - Picks the list out of the response body
+ * @param {function} [options.getNextCursor] - Picks the next cursor out of the response body
+ */
+export const createCursorAdapter = ({
+    cursorParam = 'cursor',
+    limitParam = 'limit',
+    getItems = (body) => body.items ?? body.data ?? [],
+    getNextCursor = (body) => body.nextCursor ?? body.next_token ?? null,
+} = {}) => ({
+    name: 'cursor',
+    cursorBased: true,
+    getParams: ({ pageSize, cursor }) => (
+        cursor == null
+            ? { [limitParam]: pageSize }
+            : { [limitParam]: pageSize, [cursorParam]: cursor }
+    ),
+    parse: (response) => {
+        const body = response.data ?? {};
+        const nextCursor = getNextCursor(body) ?? null;
+        return {
+            items: getItems(body),
+            total: null,
+            totalPages: null,
+            hasMore: nextCursor != null,
+            nextCursor,
+        };
+    },
+});
+
+/**
+ * For fetchers that already resolve to a normalized page, such as the
+ * `list` call of a resource service (createResourceService.js): the page
+ * request is passed through and the result used as it is.
+ */
+export const servicePageAdapter = {
+    name: 'service',
+    getParams: ({ page, pageSize, cursor }) => (cursor == null ? { page, pageSize } : { page, pageSize, cursor }),
+    parse: (result) => result,
+};
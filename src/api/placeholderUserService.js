@@ -0,0 +1,36 @@
+import { createResourceService } from './createResourceService'
+import { s } from './schema'
+
+/*
+  jsonplaceholder users (10 people with address and company), used by
+  the client-side user search. Not paged: `list` returns all of them.
+*/
+
+const placeholderUserSchema = s.object({
+    id: s.id(),
+    name: s.string(),
+    username: s.string(),
+    email: s.string(),
+    phone: s.string().optional(),
+    website: s.string().optional(),
+    address: s.object({ city: s.string().optional() }).optional(),
+    company: s.object({ name: s.string().optional() }).optional(),
+})
+
+// The search reads every field; fill the optional ones with empty text
+const toPlaceholderUser = (raw) => ({
+    ...raw,
+    phone: raw.phone ?? '',
+    website: raw.website ?? '',
+    address: { ...raw.address, city: raw.address?.city ?? '' },
+    company: { ...raw.company, name: raw.company?.name ?? '' },
+})
+
+export const placeholderUsersService = createResourceService('/users', {
+    client: 'jsonplaceholder',
+    model: {
+        list: s.array(placeholderUserSchema),
+        item: placeholderUserSchema,
+        fromApi: toPlaceholderUser,
+    },
+})
@@ -0,0 +1,28 @@
+import { createResourceService } from './createResourceService'
+import { createJsonPlaceholderAdapter } from './paginationAdapters'
+import { s } from './schema'
+
+/*
+  jsonplaceholder posts
+
+  The total comes from the x-total-count header, or the known
+  collection size when the header cannot be read.
+*/
+
+export const TOTAL_POSTS = 100
+
+const postSchema = s.object({
+    id: s.id(),
+    userId: s.id(),
+    title: s.string(),
+    body: s.string(),
+})
+
+export const postsService = createResourceService('/posts', {
+    client: 'jsonplaceholder',
+    adapter: createJsonPlaceholderAdapter({ total: TOTAL_POSTS }),
+    model: {
+        list: s.array(postSchema),
+        item: postSchema,
+    },
+})
@@ -0,0 +1,95 @@
+import { getClient } from './axiosConfig'
+import { createResourceService } from './createResourceService'
+import { dummyJsonAdapter } from './paginationAdapters'
+import { parseResponse, s } from './schema'
+
+/*
+  dummyjson products
+
+  Besides the generated CRUD calls, products can be searched and listed
+  by category; both page like the main collection.
+
+  Requests with `select` only return the selected fields (plus id), so
+  everything but id and title is optional in the schema.
+*/
+
+const productSchema = s.object({
+    id: s.id(),
+    title: s.string(),
+    description: s.string().optional(),
+    category: s.string().optional(),
+    brand: s.string().optional(),
+    price: s.number().optional(),
+    rating: s.number().optional(),
+    thumbnail: s.string().optional(),
+})
+
+const productPageSchema = s.object({
+    total: s.number(),
+    skip: s.number(),
+    limit: s.number(),
+    products: s.array(productSchema),
+})
+
+const categoriesSchema = s.array(s.object({
+    slug: s.string(),
+    name: s.string(),
+    url: s.string().optional(),
+}))
+
+export const productsService = createResourceService('/products', {
+    client: 'dummyjson',
+    adapter: dummyJsonAdapter,
+    model: {
+        list: productPageSchema,
+        item: productSchema,
+    },
+})
+
+/**
+ * One page of search results
+ * @param {string} query
+ * @param {object} [params] - { page, pageSize, sortBy, order, select... }
+ */
+export const searchProducts = (query, params = {}, config = {}) =>
+    productsService.listFrom('search', { q: query, ...params }, config)
+
+/**
+ * One page of search results within a category. The search endpoint
+ * ignores categories, so every match is fetched (limit 0; the response
+ * cache serves it again for the other pages) and narrowed to the
+ * category before paging, so total and pages count only what is shown.
+ * @param {string} query
+ * @param {string} slug - Category slug
+ * @param {object} [params] - { page, pageSize, sortBy, order... }
+ */
+export const searchProductsInCategory = async (query, slug, { page = 1, pageSize = 10, ...params } = {}, config = {}) => {
+    const matches = await searchProducts(query, { ...params, page: 1, pageSize: 0 }, config)
+    const items = matches.items.filter((product) => product.category === slug)
+    const totalPages = Math.ceil(items.length / pageSize)
+    const start = (page - 1) * pageSize
+    return {
+        items: items.slice(start, start + pageSize),
+        page,
+        pageSize,
+        total: items.length,
+        totalPages,
+        hasMore: page < totalPages,
+        nextCursor: null,
+    }
+}
+
+/**
+ * One page of a category
+ * @param {string} slug - Category slug, e.g. "smartphones"
+ */
+export const listProductsByCategory = (slug, params = {}, config = {}) =>
+    productsService.listFrom(`category/${encodeURIComponent(slug)}`, params, config)
+
+/**
+ * Every category: [{ slug, name, url }]
+ */
+export const getProductCategories = async (config = {}) => {
+    const response = await getClient('dummyjson').get(`${productsService.path}/categories`, config)
+    return parseResponse(categoriesSchema, response)
+}
@@ -0,0 +1,149 @@
+import { CanceledError } from 'axios';
+import { getCacheKey } from './responseCache';
+import { promoteRequest, requestPriority } from './requestQueue';
+
+/*
+  In-flight request control for the axios layer
+
+  Two adapter wrappers that make every component race-free without its
+  own abort bookkeeping:
+
+  withDeduplication
+    Identical concurrent GETs (same key as the response cache) share one
+    network call. Each caller keeps its own AbortSignal; the shared call is
+    only aborted once every caller has given up. Opt out with
+    { dedupe: false }. A caller joining a call that is still queued
+    lends it its priority (see requestQueue.js), so a page request
+    joining a queued prefetch does not wait like a prefetch.
+
+  withLatestWins
+    Requests carrying the same { cancelKey } form a "latest wins" group:
+    starting a new one aborts the previous one, so a slow page-2 response
+    can never overwrite page 5. cancelRequests(key) aborts a group from a
+    component's cleanup. Background prefetches ({ prefetch: true }) stay
+    out of the group so they never abort the page being shown. A failed
+    request stays the group's latest until a newer one replaces it, so a
+    newer request also cancels its pending retry (see retryPolicy.js),
+    and a retry that was overtaken is rejected as aborted.
+*/
+
+const inFlight = new Map();
+const latestByKey = new Map();
+
+const DEDUPABLE_METHODS = ['get', 'head'];
+
+// Re-home a shared error on the caller's own config so interceptors
+// (retries, logging) see the request they are handling
+const withConfig = (error, config) =>
+    Object.assign(Object.create(Object.getPrototypeOf(error)), error, { config });
+
+/**
+ * Merge identical concurrent GETs into one network call
+ * @param {function} adapter - Resolved axios adapter
+ */
+export const withDeduplication = (adapter) => (config) => {
+    const method = (config.method ?? 'get').toLowerCase();
+    if (config.dedupe === false || !DEDUPABLE_METHODS.includes(method)) {
+        return adapter(config);
+    }
+
+    const key = getCacheKey(config);
+    let shared = inFlight.get(key);
+    const isLeader = !shared;
+
+    if (!shared) {
+        const controller = new AbortController();
+        shared = { controller, config: { ...config, signal: controller.signal }, subscribers: 0, settled: false };
+        shared.promise = adapter(shared.config).finally(() => {
+            shared.settled = true;
+            if (inFlight.get(key) === shared) inFlight.delete(key);
+        });
+        inFlight.set(key, shared);
+    }
+
+    shared.subscribers += 1;
+    const current = shared;
+    if (!isLeader) promoteRequest(current.config, requestPriority(config));
+
+    return new Promise((resolve, reject) => {
+        const signal = config.signal;
+        let done = false;
+
+        const finish = () => {
+            done = true;
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        function onAbort() {
+            if (done) return;
+            finish();
+            current.subscribers -= 1;
+            if (current.subscribers === 0 && !current.settled) {
+                current.controller.abort();
+                if (inFlight.get(key) === current) inFlight.delete(key);
+            }
+            reject(new CanceledError(null, config));
+        }
+
+        if (signal?.aborted) {
+            onAbort();
+            return;
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        current.promise.then(
+            (response) => {
+                if (done) return;
+                finish();
+                resolve({ ...response, config, deduplicated: !isLeader });
+            },
+            (error) => {
+                if (done) return;
+                finish();
+                reject(withConfig(error, config));
+            }
+        );
+    });
+};
+
+/**
+ * Abort the in-flight request of a latest-wins group
+ * @param {string} cancelKey
+ */
+export const cancelRequests = (cancelKey) => {
+    latestByKey.get(cancelKey)?.abort();
+    latestByKey.delete(cancelKey);
+};
+
+/**
+ * Abort the previous request of a { cancelKey } group when a new one starts
+ * @param {function} adapter - Resolved axios adapter
+ */
+export const withLatestWins = (adapter) => async (config) => {
+    const key = config.cancelKey;
+    if (!key || config.prefetch) return adapter(config);
+
+    const current = latestByKey.get(key);
+
+    // A retry comes back with the signal of its earlier attempt
+    if (config.retryState) {
+        if (current?.signal === config.signal) return adapter(config);
+        throw new CanceledError(null, config);
+    }
+
+    current?.abort();
+
+    const controller = new AbortController();
+    latestByKey.set(key, controller);
+
+    const parent = config.signal;
+    if (parent?.aborted) {
+        controller.abort();
+    } else {
+        parent?.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    const response = await adapter({ ...config, signal: controller.signal });
+    if (latestByKey.get(key) === controller) latestByKey.delete(key);
+    return response;
+};
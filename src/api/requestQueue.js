@@ -0,0 +1,209 @@
+import { useSyncExternalStore } from 'react';
+import { CanceledError } from 'axios';
+import { recordQueueState } from './networkLog';
+
+/*
+  Per-client rate limit and concurrency queue
+
+  Adapter wrapper sitting right in front of the network, so cache hits
+  and deduplicated GETs never wait or use up the budget. Each client
+  (see clientConfig.js) gets:
+
+    maxConcurrent            requests on the wire at once
+    rateLimit.perSecond      token bucket refill rate (omit for no limit)
+    rateLimit.burst          bucket size: requests allowed back to back
+
+  Requests beyond that wait in a queue ordered by priority, then by
+  arrival:
+
+    { priority: 'high' | 'normal' | 'low' }
+
+  Requests default to 'normal' and prefetches ({ prefetch: true }) to
+  'low', so a click or a keystroke always goes ahead of background work.
+  A queued request leaves the queue as soon as its signal aborts
+  (cancelKey, component cleanup), without ever being sent.
+
+  `onQueueChange({ state, position })` in the request config reports
+  'queued' (with its place in line) and then 'in-flight', so components
+  can tell waiting apart from loading. useQueueStats() has the live
+  numbers per client.
+*/
+
+const PRIORITIES = { high: 2, normal: 1, low: 0 };
+
+const DEFAULT_MAX_CONCURRENT = 6;
+
+const settingsByClient = new Map();
+const queues = new Map();
+const listeners = new Set();
+let stats = {};
+let sequence = 0;
+
+const notify = () => {
+    stats = Object.fromEntries(
+        [...queues].map(([name, queue]) => [name, { active: queue.active, queued: queue.waiting.length }])
+    );
+    listeners.forEach((listener) => listener());
+};
+
+/**
+ * Numeric priority of a request (higher goes first)
+ * @param {object} config - axios request config
+ */
+export const requestPriority = (config) =>
+    PRIORITIES[config.priority] ?? (config.prefetch ? PRIORITIES.low : PRIORITIES.normal);
+
+const report = (entry, state, position) => {
+    recordQueueState(entry.config, state);
+    entry.config.onQueueChange?.({ state, position });
+};
+
+const getQueue = (name) => {
+    if (!queues.has(name)) {
+        const { rateLimit } = settingsByClient.get(name) ?? {};
+        queues.set(name, { active: 0, waiting: [], tokens: rateLimit?.burst ?? 0, refilledAt: Date.now(), timer: null });
+    }
+    return queues.get(name);
+};
+
+const refill = (queue, rateLimit) => {
+    const now = Date.now();
+    queue.tokens = Math.min(rateLimit.burst, queue.tokens + ((now - queue.refilledAt) / 1000) * rateLimit.perSecond);
+    queue.refilledAt = now;
+};
+
+// Highest priority first, oldest first within a priority
+const nextIndex = (waiting) =>
+    waiting.reduce((best, entry, index) => {
+        const current = waiting[best];
+        if (entry.priority > current.priority) return index;
+        if (entry.priority === current.priority && entry.sequence < current.sequence) return index;
+        return best;
+    }, 0);
+
+const reportPositions = (queue) => {
+    [...queue.waiting]
+        .sort((a, b) => b.priority - a.priority || a.sequence - b.sequence)
+        .forEach((entry, index) => report(entry, 'queued', index + 1));
+};
+
+const drain = (name) => {
+    const queue = getQueue(name);
+    const { maxConcurrent = DEFAULT_MAX_CONCURRENT, rateLimit } = settingsByClient.get(name) ?? {};
+
+    clearTimeout(queue.timer);
+    queue.timer = null;
+
+    let started = false;
+    while (queue.waiting.length > 0 && queue.active < maxConcurrent) {
+        if (rateLimit) {
+            refill(queue, rateLimit);
+            if (queue.tokens < 1) {
+                const wait = ((1 - queue.tokens) / rateLimit.perSecond) * 1000;
+                queue.timer = setTimeout(() => drain(name), Math.ceil(wait));
+                break;
+            }
+            queue.tokens -= 1;
+        }
+
+        const [entry] = queue.waiting.splice(nextIndex(queue.waiting), 1);
+        queue.active += 1;
+        started = true;
+        entry.start();
+    }
+
+    if (started) reportPositions(queue);
+    notify();
+};
+
+/**
+ * Set (or replace) the limits of a client; called by registerClient
+ * @param {string} name - Client name
+ * @param {object} settings
+ * @param {number} [settings.maxConcurrent]
+ * @param {{ perSecond: number, burst: number }} [settings.rateLimit]
+ */
+export const configureQueue = (name, { maxConcurrent = DEFAULT_MAX_CONCURRENT, rateLimit = null } = {}) => {
+    const limit = rateLimit && rateLimit.perSecond > 0
+        ? { perSecond: rateLimit.perSecond, burst: Math.max(1, rateLimit.burst ?? Math.ceil(rateLimit.perSecond)) }
+        : null;
+    settingsByClient.set(name, { maxConcurrent: Math.max(1, maxConcurrent), rateLimit: limit });
+
+    const queue = queues.get(name);
+    if (queue) queue.tokens = Math.min(queue.tokens, limit?.burst ?? 0);
+};
+
+/**
+ * Raise the priority of a request that is still waiting, e.g. when a
+ * user request joins a queued prefetch (see withDeduplication)
+ * @param {object} config - The exact config object that was queued
+ * @param {number} priority - From requestPriority
+ */
+export const promoteRequest = (config, priority) => {
+    const queue = queues.get(config.clientName);
+    const entry = queue?.waiting.find((waiting) => waiting.config === config);
+    if (!entry || priority <= entry.priority) return;
+    entry.priority = priority;
+    reportPositions(queue);
+};
+
+/**
+ * Queue requests per client before they reach the network
+ * @param {function} adapter - Resolved axios adapter
+ */
+export const withRequestQueue = (adapter) => (config) => {
+    const name = config.clientName;
+    if (!name) return adapter(config);
+
+    const queue = getQueue(name);
+    const signal = config.signal;
+
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new CanceledError(null, config));
+            return;
+        }
+
+        sequence += 1;
+        const entry = { config, priority: requestPriority(config), sequence };
+
+        const onAbort = () => {
+            const index = queue.waiting.indexOf(entry);
+            if (index === -1) return;
+            queue.waiting.splice(index, 1);
+            reportPositions(queue);
+            notify();
+            reject(new CanceledError(null, config));
+        };
+
+        entry.start = () => {
+            signal?.removeEventListener('abort', onAbort);
+            report(entry, 'in-flight', 0);
+            Promise.resolve()
+                .then(() => adapter(config))
+                .then(resolve, reject)
+                .finally(() => {
+                    queue.active -= 1;
+                    drain(name);
+                });
+        };
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        queue.waiting.push(entry);
+        drain(name);
+
+        if (queue.waiting.includes(entry)) reportPositions(queue);
+    });
+};
+
+export const getQueueStats = () => stats;
+
+const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * { [client]: { active, queued } }, re-rendering as requests move through
+ */
+export const useQueueStats = () => useSyncExternalStore(subscribe, getQueueStats);
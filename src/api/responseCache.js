@@ -0,0 +1,185 @@
+/*
+  Response cache for the axios layer
+
+  Wraps an axios adapter so cached GET responses never reach the network.
+  Entries are keyed on method + full URL + sorted params and go through
+  three phases:
+
+    fresh  (age < cacheTTL)                         -> served from cache
+    stale  (age < cacheTTL + staleWhileRevalidate)  -> served from cache,
+                                                       refreshed in background
+    expired                                          -> fetched again
+
+  Per-request flags (next to `requiresApiKey` on the axios config):
+    cache: false               skip the cache for this request
+    cacheTTL: ms               how long a response stays fresh
+    staleWhileRevalidate: ms   how long a stale response may still be served
+    invalidates: ['/path']     extra paths (of the same client) to drop
+                               after a mutation
+
+  Successful POST / PUT / PATCH / DELETE requests drop every cached entry
+  for the resource they touched and its parent collection, so list pages
+  never show data older than the last write. Only that client's entries
+  are dropped: the prefixes are resolved against its base URL, so a
+  reqres PUT /users/2 leaves jsonplaceholder's /users pages alone.
+*/
+
+export const DEFAULT_CACHE_TTL = 60 * 1000;
+export const DEFAULT_STALE_WHILE_REVALIDATE = 5 * 60 * 1000;
+const MAX_ENTRIES = 200;
+
+const CACHEABLE_METHODS = ['get', 'head'];
+const MUTATING_METHODS = ['post', 'put', 'patch', 'delete'];
+
+const cache = new Map();
+
+const serializeParams = (params) => {
+    if (!params) return '';
+    return Object.keys(params)
+        .filter((key) => params[key] !== undefined && params[key] !== null)
+        .sort()
+        .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+        .join('&');
+};
+
+const isAbsoluteURL = (url = '') => /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url);
+
+const resolveURL = (config) => {
+    const url = config.url ?? '';
+    if (isAbsoluteURL(url) || !config.baseURL) return url;
+    return `${config.baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+};
+
+const stripQuery = (url) => url.split('?')[0].replace(/\/+$/, '');
+
+/**
+ * Build the cache key for a request config
+ * @param {object} config - axios request config
+ */
+export const getCacheKey = (config) => {
+    const method = (config.method ?? 'get').toUpperCase();
+    const query = serializeParams(config.params);
+    return `${method} ${resolveURL(config)}${query ? `?${query}` : ''}`;
+};
+
+const matchesPrefix = (value, prefix) => {
+    if (!value.startsWith(prefix)) return false;
+    const next = value.charAt(prefix.length);
+    return next === '' || next === '/' || next === '?' || prefix.endsWith('/');
+};
+
+/**
+ * Drop every cached entry whose key or request path starts with `prefix`.
+ * Accepts a full key ("GET https://reqres.in/api/users"), an absolute URL
+ * or a path relative to the client base URL ("/users").
+ * @param {string} [prefix] - Omit to clear the whole cache
+ * @returns {number} Number of dropped entries
+ */
+export const invalidateCache = (prefix) => {
+    if (!prefix) {
+        const size = cache.size;
+        cache.clear();
+        return size;
+    }
+
+    let dropped = 0;
+    for (const [key, entry] of cache) {
+        if (matchesPrefix(key, prefix) || matchesPrefix(entry.url, prefix) || matchesPrefix(entry.path, prefix)) {
+            cache.delete(key);
+            dropped += 1;
+        }
+    }
+    return dropped;
+};
+
+const invalidateAfterMutation = (config) => {
+    const resource = stripQuery(resolveURL(config));
+    const extra = (config.invalidates ?? []).map((url) => stripQuery(resolveURL({ url, baseURL: config.baseURL })));
+    const prefixes = [resource, ...extra];
+
+    // PUT /users/2 also touches the /users list pages
+    if (config.method !== 'post') {
+        prefixes.push(resource.replace(/\/[^/]+$/, ''));
+    }
+
+    prefixes.filter(Boolean).forEach((prefix) => invalidateCache(prefix));
+};
+
+const store = (key, config, response) => {
+    const ttl = config.cacheTTL ?? DEFAULT_CACHE_TTL;
+    const swr = config.staleWhileRevalidate ?? DEFAULT_STALE_WHILE_REVALIDATE;
+    const now = Date.now();
+
+    cache.delete(key);
+    cache.set(key, {
+        url: stripQuery(resolveURL(config)),
+        path: stripQuery(config.url ?? ''),
+        response: {
+            data: response.data,
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+        },
+        storedAt: now,
+        freshUntil: now + ttl,
+        staleUntil: now + ttl + swr,
+        revalidating: false,
+    });
+
+    // Evict the least recently stored entries
+    while (cache.size > MAX_ENTRIES) {
+        cache.delete(cache.keys().next().value);
+    }
+};
+
+const fromEntry = (entry, config, stale) => ({
+    ...entry.response,
+    config,
+    request: null,
+    fromCache: true,
+    stale,
+});
+
+/**
+ * Wrap an axios adapter with the response cache
+ * @param {function} adapter - Resolved axios adapter
+ * @returns {function} Caching adapter
+ */
+export const withResponseCache = (adapter) => async (config) => {
+    const method = (config.method ?? 'get').toLowerCase();
+
+    if (MUTATING_METHODS.includes(method)) {
+        const response = await adapter(config);
+        invalidateAfterMutation(config);
+        return response;
+    }
+
+    if (config.cache === false || !CACHEABLE_METHODS.includes(method)) {
+        return adapter(config);
+    }
+
+    const key = getCacheKey(config);
+    const entry = cache.get(key);
+    const now = Date.now();
+
+    if (entry && now < entry.freshUntil) {
+        return fromEntry(entry, config, false);
+    }
+
+    if (entry && now < entry.staleUntil) {
+        if (!entry.revalidating) {
+            entry.revalidating = true;
+            // The caller may abort its own request; the refresh must outlive it
+            adapter({ ...config, signal: undefined, cancelToken: undefined })
+                .then((response) => store(key, config, response))
+                .catch(() => {
+                    entry.revalidating = false;
+                });
+        }
+        return fromEntry(entry, config, true);
+    }
+
+    const response = await adapter(config);
+    store(key, config, response);
+    return response;
+};
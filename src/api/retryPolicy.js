@@ -0,0 +1,117 @@
+import { CanceledError } from 'axios';
+
+/*
+  Retry policy for the axios layer
+
+  Failed requests are retried from the response interceptor when the
+  failure looks transient (network error, timeout, 408, 429, 5xx gateway
+  errors). Delays grow exponentially with jitter; a `Retry-After` header on
+  429 / 503 takes precedence.
+
+  Per-request flags on the axios config:
+    retry: number | false      maximum retries (default 3, false disables)
+    retryDelay: ms             base delay for the first retry (default 300)
+    retryNonIdempotent: true   allow retrying POST / PATCH
+    onRetry({ attempt, maxAttempts, delay, error })
+                               called before each retry so components can
+                               show "retrying (2/3)..."
+
+  Background prefetches ({ prefetch: true }) are never retried; the page
+  is fetched again for real when it is opened.
+*/
+
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_RETRY_DELAY = 300;
+const MAX_RETRY_DELAY = 10 * 1000;
+const MAX_RETRY_AFTER = 60 * 1000;
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRY_AFTER_STATUSES = [429, 503];
+
+export const isIdempotent = (method = 'get') =>
+    IDEMPOTENT_METHODS.includes(method.toLowerCase());
+
+const isRetryableError = (error) => {
+    if (error.code === 'ERR_CANCELED') return false;
+    if (!error.response) return Boolean(error.request) || error.code === 'ECONNABORTED';
+    return RETRYABLE_STATUSES.includes(error.response.status);
+};
+
+/**
+ * Read a Retry-After header (seconds or HTTP date) in milliseconds
+ * @param {object} response - axios response
+ * @returns {number|null}
+ */
+export const parseRetryAfter = (response) => {
+    const value = response?.headers?.['retry-after'];
+    if (value == null || value === '') return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff with "equal jitter": half the window is fixed, the
+ * other half random, so retries from many clients spread out.
+ * @param {number} attempt - 1 for the first retry
+ * @param {number} baseDelay - Delay of the first retry in ms
+ */
+export const getBackoffDelay = (attempt, baseDelay = DEFAULT_RETRY_DELAY) => {
+    const window = Math.min(MAX_RETRY_DELAY, baseDelay * 2 ** (attempt - 1));
+    return Math.round(window / 2 + Math.random() * (window / 2));
+};
+
+/**
+ * Decide whether a failed request should be retried
+ * @param {object} error - axios error
+ * @returns {{ attempt: number, maxAttempts: number, delay: number } | null}
+ */
+export const getRetryPlan = (error) => {
+    const config = error.config;
+    if (!config || config.retry === false || config.prefetch) return null;
+
+    if (!isIdempotent(config.method) && !config.retryNonIdempotent) return null;
+    if (!isRetryableError(error)) return null;
+
+    const maxRetries = typeof config.retry === 'number' ? config.retry : DEFAULT_RETRIES;
+    const attempt = (config.retryState?.attempt ?? 0) + 1;
+    if (attempt > maxRetries) return null;
+
+    let delay = getBackoffDelay(attempt, config.retryDelay ?? DEFAULT_RETRY_DELAY);
+    if (RETRY_AFTER_STATUSES.includes(error.response?.status)) {
+        const retryAfter = parseRetryAfter(error.response);
+        if (retryAfter != null) {
+            if (retryAfter > MAX_RETRY_AFTER) return null;
+            delay = retryAfter;
+        }
+    }
+
+    return { attempt, maxAttempts: maxRetries, delay };
+};
+
+/**
+ * Wait before retrying, giving up early if the request gets aborted
+ * @param {number} delay - ms
+ * @param {AbortSignal} [signal]
+ */
+export const waitForRetry = (delay, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new CanceledError());
+        return;
+    }
+
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new CanceledError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, delay);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
@@ -0,0 +1,133 @@
+import { ApiError } from './apiError';
+import { logger } from './logger';
+import { recordInvalidResponse } from './networkLog';
+
+/*
+  Response schemas
+
+  A small declarative way to state what an endpoint returns and check it
+  at the service boundary, before any component touches the data:
+
+    const userSchema = s.object({
+        id: s.number(),
+        email: s.string(),
+        avatar: s.string().optional(),
+    });
+    const listSchema = s.object({ total: s.number(), data: s.array(userSchema) });
+
+    parseResponse(listSchema, response);   // returns response.data or throws
+
+  Objects may carry extra keys; only the declared ones are checked.
+  A mismatch throws an ApiError of kind 'invalid-response' whose
+  `issues` list every problem with its path ("data[3].email: expected
+  string, received undefined"), and the same report is logged for
+  developers. Users get the generic message from apiError.js.
+*/
+
+// Keep the console report readable for badly broken responses
+const MAX_REPORTED_ISSUES = 20;
+
+const describe = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+    return typeof value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const createSchema = (expected, check) => ({
+    expected,
+    check,
+    /** Also accept null / undefined */
+    optional: () => createSchema(`${expected} (optional)`, (value, path, issues) => {
+        if (value != null) check(value, path, issues);
+    }),
+});
+
+const primitive = (type) => createSchema(type, (value, path, issues) => {
+    if (describe(value) !== type) issues.push({ path, expected: type, received: describe(value) });
+});
+
+export const s = {
+    string: () => primitive('string'),
+    number: () => primitive('number'),
+    boolean: () => primitive('boolean'),
+
+    /** Ids are numbers on most APIs, but reqres returns new ones as strings */
+    id: () => createSchema('id', (value, path, issues) => {
+        const type = describe(value);
+        if (type !== 'number' && type !== 'string') issues.push({ path, expected: 'number or string', received: type });
+    }),
+
+    /** @param {object} item - Schema every entry must match */
+    array: (item) => createSchema(`array of ${item.expected}`, (value, path, issues) => {
+        if (!Array.isArray(value)) {
+            issues.push({ path, expected: 'array', received: describe(value) });
+            return;
+        }
+        value.forEach((entry, index) => item.check(entry, `${path}[${index}]`, issues));
+    }),
+
+    /** @param {object} shape - Key -> schema */
+    object: (shape) => createSchema('object', (value, path, issues) => {
+        if (!isPlainObject(value)) {
+            issues.push({ path, expected: 'object', received: describe(value) });
+            return;
+        }
+        Object.entries(shape).forEach(([key, field]) => field.check(value[key], childPath(path, key), issues));
+    }),
+};
+
+/**
+ * Check a value against a schema
+ * @param {object} schema
+ * @param {*} value
+ * @returns {Array<{ path: string, expected: string, received: string }>} Empty when valid
+ */
+export const validate = (schema, value) => {
+    const issues = [];
+    schema.check(value, '', issues);
+    return issues;
+};
+
+/**
+ * One line per issue, e.g. "data[3].email: expected string, received undefined"
+ * @param {object[]} issues - From validate
+ */
+export const formatIssues = (issues) =>
+    issues.map(({ path, expected, received }) => `${path || '(root)'}: expected ${expected}, received ${received}`);
+
+const describeRequest = (config = {}) =>
+    `${(config.method ?? 'get').toUpperCase()} ${config.baseURL ?? ''}${config.url ?? ''}`;
+
+/**
+ * Validate a response body and return it
+ * @param {object} schema
+ * @param {object} response - axios response
+ * @param {*} [body] - Part of the body to check (defaults to response.data)
+ * @returns {*} The validated body
+ * @throws {ApiError} kind 'invalid-response'
+ */
+export const parseResponse = (schema, response, body = response.data) => {
+    const issues = validate(schema, body);
+    if (issues.length === 0) return body;
+
+    const request = describeRequest(response.config);
+    const lines = formatIssues(issues.slice(0, MAX_REPORTED_ISSUES));
+    if (issues.length > MAX_REPORTED_ISSUES) lines.push(`…and ${issues.length - MAX_REPORTED_ISSUES} more`);
+
+    logger.error(`Unexpected response from ${request}:\n  ${lines.join('\n  ')}`);
+    recordInvalidResponse(response.config, issues);
+
+    throw new ApiError({
+        kind: 'invalid-response',
+        status: response.status,
+        detail: `Unexpected response from ${request}: ${lines.join('; ')}`,
+        issues,
+        response,
+        config: response.config,
+    });
+};
@@ -1,15 +1,103 @@
-import { get, post, put, patch, del } from './axiosConfig'
-
-export const getUsersPaginated = async(page=1, perPage=10) => {
-    try{
-        const response = await get('/users', {
-            page, per_page:perPage 
-        }, {
-            requiresApiKey: true
-        })
-        return response
-    }
-    catch(error){
-        throw error
-    }
-}
\ No newline at end of file
+import { createResourceService } from './createResourceService'
+import { reqresAdapter } from './paginationAdapters'
+import { s } from './schema'
+
+/*
+  reqres.in user endpoints
+
+  Writes are accepted and echoed back by reqres but not stored, so a
+  page fetched after a change shows the original data again. The
+  offline mock backend (VITE_USE_MOCK_API=true) keeps changes in memory
+  until the page is reloaded. `userWritesPersist` tells the two apart, so
+  a list only refetches after a write when the server kept it.
+
+  Components work with the User model, not reqres' snake_case fields:
+  { id, firstName, lastName, fullName, email, avatar }
+*/
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MAX_NAME_LENGTH = 50
+
+export const isValidEmail = (value) => EMAIL_PATTERN.test(value)
+
+export const userWritesPersist = import.meta.env.VITE_USE_MOCK_API === 'true'
+
+const reqresUserSchema = s.object({
+    id: s.id(),
+    email: s.string(),
+    first_name: s.string(),
+    last_name: s.string(),
+    avatar: s.string().optional(),
+})
+
+const reqresPageSchema = s.object({
+    page: s.number(),
+    per_page: s.number(),
+    total: s.number(),
+    total_pages: s.number(),
+    data: s.array(reqresUserSchema),
+})
+
+/**
+ * Fill in fullName; used for users built in the app (optimistic updates)
+ * @param {object} user - User model, fullName may be stale
+ */
+export const withFullName = (user) => ({
+    ...user,
+    fullName: `${user.firstName ?? ''} ${user.lastName ?? ''}`.trim(),
+})
+
+/** reqres user -> User */
+export const toUser = (raw) => withFullName({
+    id: raw.id,
+    firstName: raw.first_name,
+    lastName: raw.last_name,
+    email: raw.email,
+    avatar: raw.avatar ?? null,
+})
+
+/** User fields -> reqres body; only the fields given, so PATCH stays partial */
+export const fromUser = (user) => {
+    const body = {}
+    if ('firstName' in user) body.first_name = user.firstName
+    if ('lastName' in user) body.last_name = user.lastName
+    if ('email' in user) body.email = user.email
+    if ('avatar' in user && user.avatar) body.avatar = user.avatar
+    return body
+}
+
+export const usersService = createResourceService('/users', {
+    requiresApiKey: true,
+    adapter: reqresAdapter,
+    // GET /users/2 wraps the user in `data`; writes echo the body flat
+    unwrapItem: (body) => body?.data ?? body,
+    model: {
+        list: reqresPageSchema,
+        item: reqresUserSchema,
+        fromApi: toUser,
+        toApi: fromUser,
+    },
+})
+
+/**
+ * Check user form values
+ * @param {{ firstName: string, lastName: string, email: string }} values
+ * @returns {object} Field name -> error message; empty when valid
+ */
+export const validateUser = (values) => {
+    const errors = {}
+    const firstName = values.firstName?.trim() ?? ''
+    const lastName = values.lastName?.trim() ?? ''
+    const email = values.email?.trim() ?? ''
+
+    if (!firstName) errors.firstName = 'First name is required'
+    else if (firstName.length > MAX_NAME_LENGTH) errors.firstName = `At most ${MAX_NAME_LENGTH} characters`
+
+    if (!lastName) errors.lastName = 'Last name is required'
+    else if (lastName.length > MAX_NAME_LENGTH) errors.lastName = `At most ${MAX_NAME_LENGTH} characters`
+
+    if (!email) errors.email = 'Email is required'
+    else if (!isValidEmail(email)) errors.email = 'Enter a valid email address'
+
+    return errors
+}
@@ -0,0 +1,154 @@
+import { useSyncExternalStore } from 'react';
+import { invalidateCache } from '../api/responseCache';
+import { navigate } from '../router/navigation';
+
+/*
+  Auth session
+
+  The signed-in user ({ token, email, remember }) lives in this module so
+  both React (useSession) and the axios interceptors (getToken) read the
+  same value:
+
+  - "Remember me" keeps the session in localStorage (survives restarts),
+    otherwise it goes to sessionStorage (this tab only, until it closes)
+  - Signing out writes a short-lived marker to localStorage; the `storage`
+    event it fires signs out every other open tab too. A remembered
+    sign-in in another tab is picked up the same way
+  - Signing in or out drops the response cache so no data fetched as one
+    user is shown to the next
+*/
+
+const SESSION_KEY = 'auth.session';
+const LOGOUT_KEY = 'auth.logout';
+const CHANGE_EVENT = 'authchange';
+
+const AUTH_PATHS = ['/login', '/register'];
+
+const readFrom = (storage) => {
+    try {
+        const stored = JSON.parse(storage.getItem(SESSION_KEY));
+        return stored && typeof stored.token === 'string' ? stored : null;
+    } catch {
+        return null;
+    }
+};
+
+const readStoredSession = () => readFrom(window.localStorage) ?? readFrom(window.sessionStorage);
+
+const removeStored = () => {
+    try {
+        window.localStorage.removeItem(SESSION_KEY);
+        window.sessionStorage.removeItem(SESSION_KEY);
+    } catch {
+        // Storage blocked: nothing was stored either
+    }
+};
+
+let session = readStoredSession();
+
+const setSession = (next) => {
+    session = next;
+    invalidateCache();
+    window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+/**
+ * Current session, or null when signed out
+ * @returns {{ token: string, email: string, remember: boolean } | null}
+ */
+export const getSession = () => session;
+
+/**
+ * Bearer token for the Authorization header
+ * @returns {string|null}
+ */
+export const getToken = () => session?.token ?? null;
+
+/**
+ * Sign in
+ * @param {{ token: string, email: string }} credentials
+ * @param {object} options
+ * @param {boolean} [options.remember] - Keep the session after the browser closes
+ */
+export const saveSession = ({ token, email }, { remember = false } = {}) => {
+    const next = { token, email, remember };
+    removeStored();
+    try {
+        const storage = remember ? window.localStorage : window.sessionStorage;
+        storage.setItem(SESSION_KEY, JSON.stringify(next));
+    } catch {
+        // Storage full or blocked: signed in until the page is reloaded
+    }
+    setSession(next);
+};
+
+/**
+ * Sign out here and in every other open tab
+ */
+export const clearSession = () => {
+    const hadSession = session !== null;
+    removeStored();
+    if (!hadSession) return;
+
+    try {
+        window.localStorage.setItem(LOGOUT_KEY, String(Date.now()));
+        window.localStorage.removeItem(LOGOUT_KEY);
+    } catch {
+        // Other tabs notice when their next request fails with 401
+    }
+    setSession(null);
+};
+
+// Sign-in / sign-out in another tab
+window.addEventListener('storage', (event) => {
+    if (event.key === LOGOUT_KEY && event.newValue && session) {
+        removeStored();
+        setSession(null);
+    } else if (event.key === SESSION_KEY) {
+        const next = readStoredSession();
+        if (next?.token !== session?.token) setSession(next);
+    }
+});
+
+const subscribe = (callback) => {
+    window.addEventListener(CHANGE_EVENT, callback);
+    return () => window.removeEventListener(CHANGE_EVENT, callback);
+};
+
+/**
+ * Current session, re-rendering on sign-in / sign-out (in any tab)
+ */
+export const useSession = () => useSyncExternalStore(subscribe, getSession);
+
+// Redirects
+
+const currentLocation = () => `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+/**
+ * Login page URL that comes back to `returnTo` afterwards
+ * @param {string} [returnTo] - Defaults to the current location
+ */
+export const loginPath = (returnTo = currentLocation()) =>
+    `/login?returnTo=${encodeURIComponent(returnTo)}`;
+
+/**
+ * The `returnTo` of the current URL, limited to paths inside this app
+ * @param {string} [fallback]
+ */
+export const getReturnTo = (fallback = '/') => {
+    const returnTo = new URLSearchParams(window.location.search).get('returnTo');
+    // "//host" and absolute URLs would leave the app
+    if (!returnTo || !returnTo.startsWith('/') || returnTo.startsWith('//')) return fallback;
+    return returnTo;
+};
+
+/**
+ * Called for a 401 on a request sent with the session token (see
+ * axiosConfig.jsx): drop the session and send the user to the login
+ * page, keeping the current location as the return URL
+ */
+export const handleUnauthorized = () => {
+    clearSession();
+    if (AUTH_PATHS.includes(window.location.pathname)) return;
+    navigate(loginPath(), { replace: true });
+};
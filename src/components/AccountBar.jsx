@@ -0,0 +1,42 @@
+import { clearSession, loginPath, useSession } from "../auth/session";
+import { usePathname } from "../router/navigation";
+import Link from "../router/Link.jsx";
+
+/*
+  Sign-in status for the header: "Log in / Sign up" links, or the
+  signed-in email with a "Log out" button (which signs out every tab)
+*/
+
+export default function AccountBar() {
+    const session = useSession();
+    const pathname = usePathname();
+    const onAuthPage = pathname === "/login" || pathname === "/register";
+
+    return (
+        <div className="flex justify-end items-center gap-3 text-sm">
+            {session ? (
+                <>
+                    <span>
+                        Signed in as <strong>{session.email}</strong>
+                    </span>
+                    <button
+                        type="button"
+                        onClick={clearSession}
+                        className="px-3 py-1 rounded bg-white/20 hover:bg-white/30"
+                    >
+                        Log out
+                    </button>
+                </>
+            ) : (
+                <>
+                    <Link to={onAuthPage ? "/login" : loginPath()} className="underline">
+                        Log in
+                    </Link>
+                    <Link to="/register" className="px-3 py-1 rounded bg-white/20 hover:bg-white/30">
+                        Sign up
+                    </Link>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,170 @@
+import { useId, useState } from "react";
+import { getAuthErrorMessage, login, register, validateCredentials } from "../api/authService";
+import { getReturnTo, saveSession, useSession } from "../auth/session";
+import { navigate } from "../router/navigation";
+import Link from "../router/Link.jsx";
+
+/*
+  Login / sign-up form
+
+  On success the token is stored (see src/auth/session.js) and the user
+  goes back to the page that sent them here (`?returnTo=`), or home.
+  Switching between login and sign-up keeps the return URL.
+*/
+
+const COPY = {
+    login: {
+        title: "Log in",
+        submit: "Log in",
+        busy: "Logging in…",
+        switchText: "No account yet?",
+        switchLabel: "Sign up",
+        switchTo: "/register",
+    },
+    register: {
+        title: "Sign up",
+        submit: "Create account",
+        busy: "Creating account…",
+        switchText: "Already have an account?",
+        switchLabel: "Log in",
+        switchTo: "/login",
+    },
+};
+
+export default function AuthForm({ mode = "login" }) {
+    const copy = COPY[mode];
+    const isRegister = mode === "register";
+    const session = useSession();
+
+    const [values, setValues] = useState({ email: "", password: "", confirmPassword: "" });
+    const [remember, setRemember] = useState(false);
+    const [touched, setTouched] = useState({});
+    const [submitting, setSubmitting] = useState(false);
+    const [serverError, setServerError] = useState(null);
+    const formId = useId();
+
+    const errors = validateCredentials(values, { confirm: isRegister });
+    const fields = [
+        { name: "email", label: "Email", type: "email", autoComplete: "email" },
+        { name: "password", label: "Password", type: "password", autoComplete: isRegister ? "new-password" : "current-password" },
+        ...(isRegister
+            ? [{ name: "confirmPassword", label: "Confirm password", type: "password", autoComplete: "new-password" }]
+            : []),
+    ];
+
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        setValues((prev) => ({ ...prev, [name]: value }));
+        setServerError(null);
+    };
+
+    const handleBlur = (event) => {
+        const { name } = event.target;
+        setTouched((prev) => ({ ...prev, [name]: true }));
+    };
+
+    const handleSubmit = async (event) => {
+        event.preventDefault();
+        const invalid = fields.find((field) => errors[field.name]);
+        if (invalid) {
+            setTouched(Object.fromEntries(fields.map((field) => [field.name, true])));
+            event.currentTarget.elements[invalid.name]?.focus();
+            return;
+        }
+
+        const credentials = { email: values.email.trim(), password: values.password };
+        setSubmitting(true);
+        setServerError(null);
+        try {
+            const { data } = await (isRegister ? register(credentials) : login(credentials));
+            saveSession({ token: data.token, email: credentials.email }, { remember });
+            navigate(getReturnTo(), { replace: true });
+        } catch (err) {
+            setServerError(getAuthErrorMessage(err));
+            setSubmitting(false);
+        }
+    };
+
+    if (session && !submitting) {
+        return (
+            <div className="max-w-sm mx-auto bg-white rounded-lg shadow p-6 text-center">
+                <p className="mb-4">You are signed in as <strong>{session.email}</strong>.</p>
+                <Link to={getReturnTo()} className="text-blue-600 underline">
+                    Continue
+                </Link>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-sm mx-auto bg-white rounded-lg shadow p-6">
+            <h2 className="text-2xl font-bold mb-2">{copy.title}</h2>
+            <p className="text-sm text-gray-600 mb-4">
+                reqres only accepts its sample users, e.g. <code>eve.holt@reqres.in</code> with any password.
+            </p>
+
+            <form noValidate onSubmit={handleSubmit} className="space-y-4">
+                {fields.map((field) => {
+                    const inputId = `${formId}-${field.name}`;
+                    const errorId = `${inputId}-error`;
+                    const error = touched[field.name] ? errors[field.name] : null;
+
+                    return (
+                        <div key={field.name}>
+                            <label htmlFor={inputId} className="block text-sm font-medium text-gray-700">
+                                {field.label}
+                            </label>
+                            <input
+                                id={inputId}
+                                name={field.name}
+                                type={field.type}
+                                autoComplete={field.autoComplete}
+                                value={values[field.name]}
+                                onChange={handleChange}
+                                onBlur={handleBlur}
+                                aria-invalid={Boolean(error)}
+                                aria-describedby={error ? errorId : undefined}
+                                className={`mt-1 w-full rounded border px-3 py-2 ${error ? "border-red-500" : "border-gray-300"}`}
+                            />
+                            {error && (
+                                <p id={errorId} className="mt-1 text-xs text-red-600">
+                                    {error}
+                                </p>
+                            )}
+                        </div>
+                    );
+                })}
+
+                <label className="flex items-center gap-2 text-sm">
+                    <input
+                        type="checkbox"
+                        checked={remember}
+                        onChange={(event) => setRemember(event.target.checked)}
+                    />
+                    Remember me on this device
+                </label>
+
+                {serverError && (
+                    <p role="alert" className="text-sm text-red-600">
+                        {serverError}
+                    </p>
+                )}
+
+                <button
+                    type="submit"
+                    disabled={submitting}
+                    className="w-full px-4 py-2 rounded bg-blue-600 text-white disabled:opacity-60"
+                >
+                    {submitting ? copy.busy : copy.submit}
+                </button>
+            </form>
+
+            <p className="mt-4 text-sm text-center">
+                {copy.switchText}{" "}
+                <Link to={`${copy.switchTo}${window.location.search}`} className="text-blue-600 underline">
+                    {copy.switchLabel}
+                </Link>
+            </p>
+        </div>
+    );
+}
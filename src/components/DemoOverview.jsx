@@ -0,0 +1,23 @@
+import Link from '../router/Link.jsx';
+import { demoRoutes } from '../routes';
+
+export default function DemoOverview() {
+    return (
+        <div>
+            <h2 className="text-2xl font-bold mb-6">Pick a demo</h2>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {demoRoutes.map((route) => (
+                    <Link
+                        key={route.path}
+                        to={route.path}
+                        className="block bg-white rounded-lg shadow p-4 text-left"
+                    >
+                        <h3 className="text-lg font-semibold text-gray-900">{route.label}</h3>
+                        <p className="text-sm text-gray-600">{route.description}</p>
+                    </Link>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,63 @@
+import { Component } from "react";
+import { toApiError } from "../api/apiError";
+import { logger } from "../api/logger";
+import { isChunkLoadError } from "../routes";
+import ErrorNotice from "./ErrorNotice.jsx";
+
+/*
+  Error boundary for one section of the page
+
+  Catches errors thrown while rendering its children (for example a
+  response with an unexpected shape) and shows an ErrorNotice instead
+  of blanking the whole app. "Try again" renders the children afresh;
+  the demos keep their page / query in the URL, so they pick up where
+  they were. When the route's code itself failed to load, it reloads the
+  page instead (see routes.js).
+
+    <ErrorBoundary label="User Pagination">
+        <UserPagination />
+    </ErrorBoundary>
+
+  Give it a `key` that changes with the route so moving to another demo
+  also clears the error.
+*/
+
+export default class ErrorBoundary extends Component {
+    constructor(props) {
+        super(props);
+        this.state = { error: null };
+        this.handleRetry = this.handleRetry.bind(this);
+    }
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error, info) {
+        logger.error(`Error in ${this.props.label ?? "section"}:`, error, info.componentStack);
+    }
+
+    handleRetry() {
+        if (isChunkLoadError(this.state.error)) {
+            window.location.reload();
+            return;
+        }
+        this.props.onReset?.();
+        this.setState({ error: null });
+    }
+
+    render() {
+        if (this.state.error) {
+            const section = this.props.label ?? "This section";
+            return (
+                <ErrorNotice
+                    error={toApiError(this.state.error)}
+                    title={isChunkLoadError(this.state.error) ? `${section} could not be loaded` : `${section} stopped working`}
+                    onRetry={this.handleRetry}
+                />
+            );
+        }
+
+        return this.props.children;
+    }
+}
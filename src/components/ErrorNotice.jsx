@@ -0,0 +1,51 @@
+import { getLogLevel } from "../api/logger";
+
+/*
+  Error notice
+
+  Shows an ApiError (src/api/apiError.js) the same way in every demo:
+  its user-facing message, a hint for the kind of failure and a
+  "Try again" button when `onRetry` is given.
+
+    {error && <ErrorNotice error={error} onRetry={retryFailed} />}
+*/
+
+const HINTS = {
+    network: "You may be offline.",
+    "rate-limited": "The API limits how often it can be called.",
+    auth: "Your session may have expired.",
+    "invalid-response": "The details were logged to the browser console.",
+};
+
+// Unexpected responses are logged at level "error", which production
+// builds turn off by default (see src/api/logger.js)
+const hintFor = (kind) => {
+    if (kind === "invalid-response" && getLogLevel() === "silent") return null;
+    return HINTS[kind];
+};
+
+export default function ErrorNotice({ error, onRetry, title, className = "" }) {
+    if (!error) return null;
+
+    const hint = hintFor(error.kind);
+
+    return (
+        <div
+            role="alert"
+            className={`rounded border border-red-200 bg-red-50 text-red-800 px-4 py-3 ${className}`}
+        >
+            {title && <p className="font-semibold">{title}</p>}
+            <p>{error.message}</p>
+            {hint && <p className="text-sm text-red-700 mt-1">{hint}</p>}
+            {onRetry && (
+                <button
+                    type="button"
+                    onClick={onRetry}
+                    className="mt-2 px-3 py-1 rounded bg-red-600 text-white text-sm"
+                >
+                    Try again
+                </button>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,38 @@
+import { findHighlightRanges, mergeRanges } from "../search/highlight";
+
+/*
+  Highlight
+
+  Renders `text` with the matching parts wrapped in <mark>:
+
+    <Highlight text={product.title} query={search} />
+    <Highlight text={user.name} ranges={result.matches.name} />
+
+  - `query` is split into words and every word is highlighted on its own,
+    ignoring case and diacritics; special characters ("(", "c++") are
+    matched literally as typed (see src/search/highlight.js)
+  - `ranges` ([start, end) offsets, e.g. from searchEngine.js) take
+    precedence, so typo matches can be highlighted too
+*/
+
+export default function Highlight({ text, query = "", ranges, className }) {
+    const value = text == null ? "" : String(text);
+    const marks = ranges ? mergeRanges(ranges) : findHighlightRanges(value, query);
+
+    if (marks.length === 0) return value;
+
+    const parts = [];
+    let cursor = 0;
+    marks.forEach(([start, end]) => {
+        if (start > cursor) parts.push(value.slice(cursor, start));
+        parts.push(
+            <mark key={start} className={className}>
+                {value.slice(start, end)}
+            </mark>
+        );
+        cursor = end;
+    });
+    if (cursor < value.length) parts.push(value.slice(cursor));
+
+    return <>{parts}</>;
+}
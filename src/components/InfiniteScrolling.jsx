@@ -1,81 +1,127 @@
-import { useState, useEffect } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { usePaginatedQuery } from "../hooks/usePaginatedQuery";
+import { servicePageAdapter } from "../api/paginationAdapters";
+import { postsService } from "../api/postService";
+import { useUrlState } from "../hooks/useUrlState";
+import { useVirtualList } from "../hooks/useVirtualList";
+import { useIntersectionSentinel } from "../hooks/useIntersectionSentinel";
+import ErrorNotice from "./ErrorNotice.jsx";
 
+const ITEMS_PER_PAGE = 10
 
-export function InfiniteScrolling(){
-    const [items, setItems] = useState([])
-    const [page, setPage] = useState(1)
-    const [loading, setLoading] = useState(false)
-    const [error, setError] = useState(null)
-    const [hasMore, setHasMore] = useState(true)
+const URL_STATE_DEFAULTS = { page: 1 }
 
-    const ITEMS_PER_PAGE = 10
-    const TOTAL_ITEMS = 100
+// Rough height of a post card; real heights are measured once rendered
+const ESTIMATED_POST_HEIGHT = 160
 
-    useEffect(()=>{
-        const fetchItems = async ()=>{
-            setLoading(true)
-            try{
-                const start = (page-1) * ITEMS_PER_PAGE
-                const response = await fetch(
-                    `https://jsonplaceholder.typicode.com/posts?_start=${start}&_limit=${ITEMS_PER_PAGE}`
-                )
-                if(!response.ok){
-                    throw new Error('Failed to fetch items')
-                }
-                const newItems = await response.json()
-                setItems((prevItems)=>{
-                    const updated = [...prevItems, ...newItems]
-                    return updated
-                }) 
-                if(newItems.length === 0 || newItems.length < ITEMS_PER_PAGE || start + newItems.length >= TOTAL_ITEMS){
-                    setHasMore(false)
-                }
-            }
-            catch(err){
-                setError(err.message)
-            }
-            finally{
-                setLoading(false)
-            }
-        }
-        fetchItems()
-    }, [page])
+// Older pages are prepended while newer ones may still be appending,
+// so each direction is its own latest-wins group
+const fetchPosts = (params, { signal, onRetry, onQueueChange, prefetch, previous })=>
+    postsService.list(params, {
+        signal,
+        onRetry,
+        onQueueChange,
+        prefetch,
+        cancelKey: previous ? 'infinite-scrolling-previous' : 'infinite-scrolling',
+    })
 
-    useEffect(()=>{
-        const handleScroll = ()=>{
-            if(loading || !hasMore) return
+export function InfiniteScrolling(){
+    const [urlState, setUrlState] = useUrlState(URL_STATE_DEFAULTS, { prefix: 'posts' })
+    // Page that was on screen before a refresh; loading starts there
+    const [startPage] = useState(urlState.page)
+    const scrollPanelRef = useRef(null)
 
-            const scrollTop = window.scrollY;
-            const windowHeight = window.innerHeight;
-            const documentHeight = document.documentElement.scrollHeight;
+    const {
+        items,
+        firstPage,
+        loading,
+        loadingPrevious,
+        queued,
+        error,
+        hasMore,
+        hasPrevious,
+        nextPage,
+        loadPrevious,
+        retryFailed,
+    } = usePaginatedQuery(fetchPosts, servicePageAdapter, {
+        pageSize: ITEMS_PER_PAGE,
+        mode: 'append',
+        initialPage: startPage,
+    })
 
-            const nearBottom = scrollTop + windowHeight >= documentHeight - 200
-            if(nearBottom){
-                setPage((prevPage)=>prevPage+1)
-            }
-        }
+    const loadMore = nextPage
+    const ready = items.length > 0 && !error
 
-        window.addEventListener('scroll', handleScroll)
+    // Sentinels at both ends of the list load newer / older pages
+    const bottomSentinelRef = useIntersectionSentinel(nextPage, {
+        rootRef: scrollPanelRef,
+        enabled: ready && !loading && !loadingPrevious && hasMore,
+    })
+    const topSentinelRef = useIntersectionSentinel(loadPrevious, {
+        rootRef: scrollPanelRef,
+        enabled: ready && !loading && !loadingPrevious && hasPrevious,
+    })
 
-        return ()=>{
-            window.removeEventListener('scroll', handleScroll)
-        }
-    }, [loading, hasMore])
+    // Only the visible post cards (plus overscan) are mounted
+    const getItemKey = useCallback((index)=>items[index].id, [items])
+    const { listRef, virtualItems, range, totalSize, measureElement } = useVirtualList({
+        count: items.length,
+        getItemKey,
+        estimateSize: ESTIMATED_POST_HEIGHT,
+        overscan: 6,
+        scrollElementRef: scrollPanelRef,
+    })
 
-    const loadMore = ()=>{
-        if(!loading && hasMore){
-            setPage((prev)=>prev+1)
-        }
-    }
+    const visiblePage = firstPage + Math.floor(Math.max(0, range.start) / ITEMS_PER_PAGE)
+
+    useEffect(()=>{
+        if(items.length === 0) return
+        // Scrolling is not a navigation step, so update the entry in place
+        setUrlState({ page: visiblePage }, { history: 'replace' })
+    }, [items.length, visiblePage, setUrlState])
 
     return (
         <div>
             <h2> Infinite Scrolling List</h2>
             {items.length === 0 && loading && <p>Loading posts...</p>}
-            {error && <p>Error: {error}</p>}
-            <div className="post-list">
-            {items.map((item, index) => (
-            <div key={item.id} className="post-card">
+            {/* Only the page that failed is requested again */}
+            {error && <ErrorNotice error={error} onRetry={retryFailed} />}
+            <div
+                ref={scrollPanelRef}
+                className="post-list"
+                style={{ height: '70vh', overflowY: 'auto', overflowAnchor: 'none' }}
+            >
+            <div ref={topSentinelRef} aria-hidden="true" style={{ height: '1px' }}></div>
+
+            {/* Fixed height so swapping button and message does not shift the list */}
+            <div style={{ height: '56px' }}>
+                {loadingPrevious && (
+                    <p>Loading older posts...</p>
+                )}
+
+                {!loadingPrevious && hasPrevious && ready && (
+                    <button onClick={loadPrevious}>Load Older Posts</button>
+                )}
+            </div>
+
+            <div ref={listRef} style={{ position: 'relative', height: totalSize }}>
+            {virtualItems.map(({ index, key, start }) => {
+            const item = items[index]
+            return (
+            <div
+                key={key}
+                ref={measureElement}
+                data-index={index}
+                style={{
+                    position: 'absolute',
+                    top: 0,
+                    left: 0,
+                    right: 0,
+                    transform: `translateY(${start}px)`,
+                    paddingBottom: '12px'
+                }}
+            >
+            <div className="post-card">
                 <div style={{ 
                 display: 'flex', 
                 justifyContent: 'space-between',
@@ -87,7 +133,7 @@ export function InfiniteScrolling(){
                     color: '#888',
                     fontWeight: 'bold'
                 }}>
-                    #{index + 1}
+                    #{(firstPage - 1) * ITEMS_PER_PAGE + index + 1}
                 </span>
                 <span style={{ 
                     fontSize: '0.85em', 
@@ -114,13 +160,18 @@ export function InfiniteScrolling(){
                 {item.body}
                 </p>
             </div>
-            ))}
+            </div>
+            )
+            })}
+            </div>
+
+            <div ref={bottomSentinelRef} aria-hidden="true" style={{ height: '1px' }}></div>
 
             {loading && (
-                <p>Loading more posts...</p>
+                <p>{queued ? 'Waiting to load more posts...' : 'Loading more posts...'}</p>
             )}
 
-            {!loading && hasMore && (
+            {!loading && !error && hasMore && (
                 <><button onClick={loadMore}>Load More Posts</button>
                     <p>Scroll Down to load more posts</p>
                 </>
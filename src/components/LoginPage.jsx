@@ -0,0 +1,5 @@
+import AuthForm from "./AuthForm.jsx";
+
+export default function LoginPage() {
+    return <AuthForm mode="login" />;
+}
@@ -0,0 +1,461 @@
+import { useState } from "react";
+import { getClient } from "../api/axiosConfig";
+import { getLogLevel, LOG_LEVELS, setLogLevel } from "../api/logger";
+import { clearNetworkLog, redactHeaders, statusGroup, toCurl, toHar, useNetworkLog } from "../api/networkLog";
+import { useQueueStats } from "../api/requestQueue";
+
+/*
+  Network inspector
+
+  Developer panel listing every API request of this session (recorded by
+  the axios interceptors, see src/api/networkLog.js), opened with the
+  "Network" button in the bottom-left corner:
+
+  - Timeline with status, duration, size and markers for cache hits,
+    deduplicated requests, retries, prefetches, replays and time spent
+    in the request queue; the toolbar shows each client's queue
+  - Filters by client and status group
+  - Details of the selected request: params, headers (API key and token
+    redacted, so the panel is safe to share) and both bodies, with
+    "Replay" (sent again, bypassing the cache) and "Copy as curl"; only
+    "Copy with credentials" puts the real key and token in the command
+  - "Export" downloads the log as a HAR-like JSON file, with the API key
+    and token headers redacted (and the bodies of login / register)
+  - The console log level (src/api/logger.js) can be changed here
+
+  Only rendered in development or with VITE_NETWORK_INSPECTOR=true.
+*/
+
+const STATUS_FILTERS = [
+    { value: "all", label: "All statuses" },
+    { value: "pending", label: "Pending" },
+    { value: "2xx", label: "2xx" },
+    { value: "3xx", label: "3xx" },
+    { value: "4xx", label: "4xx" },
+    { value: "5xx", label: "5xx" },
+    { value: "no-response", label: "No response" },
+];
+
+const STATUS_CLASSES = {
+    pending: "text-gray-400",
+    "2xx": "text-green-400",
+    "3xx": "text-sky-300",
+    "4xx": "text-amber-400",
+    "5xx": "text-red-400",
+    "no-response": "text-red-400",
+};
+
+const formatSize = (bytes) => {
+    if (bytes == null) return "–";
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+};
+
+const formatDuration = (ms) => (ms == null ? "…" : `${ms} ms`);
+
+const formatBody = (body) => {
+    if (body == null || body === "") return "(empty)";
+    return typeof body === "string" ? body : JSON.stringify(body, null, 2);
+};
+
+const markersOf = (entry) => [
+    entry.cache !== "miss" && `cache ${entry.cache}`,
+    entry.deduplicated && "dedup",
+    entry.queueTime > 0 && `queued ${entry.queueTime} ms`,
+    entry.retry && `retry ${entry.retry.attempt}/${entry.retry.maxAttempts}`,
+    entry.willRetry && "will retry",
+    entry.prefetch && "prefetch",
+    entry.replay && "replay",
+    entry.errorKind,
+].filter(Boolean);
+
+const statusLabel = (entry) => {
+    if (entry.state === "pending") return entry.queued ? "queued" : "pending";
+    return entry.status ?? entry.errorKind ?? "failed";
+};
+
+const downloadJson = (data, filename) => {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Credentials are left to the interceptors, so the current key and token
+// are sent; a 401 here never signs the user out
+const replayHeaders = (entry) => {
+    const hidden = entry.sensitiveHeaders.map((name) => name.toLowerCase());
+    return Object.fromEntries(
+        Object.entries(entry.requestHeaders).filter(([name]) => !hidden.includes(name.toLowerCase()))
+    );
+};
+
+const replay = (entry) =>
+    getClient(entry.client)
+        .request({
+            method: entry.method.toLowerCase(),
+            url: entry.url,
+            params: entry.params,
+            data: entry.requestBody,
+            headers: replayHeaders(entry),
+            ...entry.requestOptions,
+            skipAuthRedirect: true,
+            cache: false,
+            dedupe: false,
+            replay: true,
+        })
+        .catch(() => {
+            // The failure shows up in the log like any other
+        });
+
+// Start offset and width of each bar, relative to the visible requests
+const timelineOf = (entries) => {
+    if (entries.length === 0) return () => ({});
+    const start = Math.min(...entries.map((entry) => entry.startedAt));
+    const end = Math.max(...entries.map((entry) => entry.startedAt + (entry.duration ?? 0)));
+    const span = Math.max(end - start, 1);
+    return (entry) => ({
+        left: `${((entry.startedAt - start) / span) * 100}%`,
+        width: `${Math.max(((entry.duration ?? 0) / span) * 100, 1)}%`,
+    });
+};
+
+function Section({ title, children }) {
+    return (
+        <section className="mb-3">
+            <h4 className="font-semibold text-gray-300 mb-1">{title}</h4>
+            {children}
+        </section>
+    );
+}
+
+function KeyValues({ values }) {
+    const rows = Object.entries(values ?? {});
+    if (rows.length === 0) return <p className="text-gray-500">(none)</p>;
+    return (
+        <dl className="grid grid-cols-[max-content_1fr] gap-x-3 break-all">
+            {rows.map(([name, value]) => (
+                <div key={name} className="contents">
+                    <dt className="text-gray-400">{name}</dt>
+                    <dd>{String(value)}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+}
+
+function EntryDetails({ entry, onClose }) {
+    const [copyState, setCopyState] = useState(null);
+    const requestHeaders = redactHeaders(entry.requestHeaders, entry.sensitiveHeaders);
+    const hasCredentials = Object.keys(requestHeaders).some((name) => requestHeaders[name] !== entry.requestHeaders[name]);
+
+    const copyAsCurl = async (options) => {
+        try {
+            await navigator.clipboard.writeText(toCurl(entry, options));
+            setCopyState("Copied");
+        } catch {
+            setCopyState("Copy failed");
+        }
+    };
+
+    return (
+        <div className="p-3 overflow-auto">
+            <div className="flex items-center gap-2 mb-3">
+                {/* The body of a sensitive request was not kept, so it cannot be sent again */}
+                <button
+                    type="button"
+                    onClick={() => replay(entry)}
+                    disabled={entry.sensitive}
+                    title={entry.sensitive ? "Request body was redacted" : undefined}
+                    className="px-2 py-1 rounded bg-blue-600 text-white disabled:opacity-50"
+                >
+                    Replay
+                </button>
+                <button
+                    type="button"
+                    onClick={() => copyAsCurl()}
+                    className="px-2 py-1 rounded border border-gray-600"
+                >
+                    Copy as curl
+                </button>
+                {hasCredentials && (
+                    <button
+                        type="button"
+                        onClick={() => copyAsCurl({ withCredentials: true })}
+                        title="Includes the API key and session token"
+                        className="px-2 py-1 rounded border border-amber-600 text-amber-300"
+                    >
+                        Copy with credentials
+                    </button>
+                )}
+                {copyState && <span role="status" className="text-gray-400">{copyState}</span>}
+                <button
+                    type="button"
+                    onClick={onClose}
+                    aria-label="Close details"
+                    className="ml-auto px-2 py-1 rounded border border-gray-600"
+                >
+                    ×
+                </button>
+            </div>
+
+            <Section title="General">
+                <KeyValues
+                    values={{
+                        URL: entry.fullURL,
+                        Method: entry.method,
+                        Client: entry.client,
+                        Status: `${statusLabel(entry)}${entry.statusText ? ` ${entry.statusText}` : ""}`,
+                        Duration: formatDuration(entry.duration),
+                        Size: formatSize(entry.size),
+                        Started: new Date(entry.startedAt).toLocaleTimeString(),
+                        ...(entry.errorMessage && { Error: entry.errorMessage }),
+                    }}
+                />
+            </Section>
+
+            {entry.issues?.length > 0 && (
+                <Section title="Schema mismatches">
+                    <ul className="list-disc pl-4 text-amber-300">
+                        {entry.issues.map((issue, index) => (
+                            <li key={index}>
+                                {issue.path || "(root)"}: expected {issue.expected}, received {issue.received}
+                            </li>
+                        ))}
+                    </ul>
+                </Section>
+            )}
+
+            <Section title="Query params">
+                <KeyValues values={entry.params} />
+            </Section>
+            <Section title="Request headers">
+                <KeyValues values={requestHeaders} />
+            </Section>
+            {entry.requestBody != null && (
+                <Section title="Request body">
+                    <pre className="whitespace-pre-wrap break-all">{formatBody(entry.requestBody)}</pre>
+                </Section>
+            )}
+            {entry.responseHeaders && (
+                <Section title="Response headers">
+                    <KeyValues values={entry.responseHeaders} />
+                </Section>
+            )}
+            {entry.state !== "pending" && (
+                <Section title="Response body">
+                    <pre className="whitespace-pre-wrap break-all">{formatBody(entry.responseBody)}</pre>
+                </Section>
+            )}
+        </div>
+    );
+}
+
+export default function NetworkInspector() {
+    const entries = useNetworkLog();
+    const queueStats = useQueueStats();
+    const [open, setOpen] = useState(false);
+    const [clientFilter, setClientFilter] = useState("all");
+    const [statusFilter, setStatusFilter] = useState("all");
+    const [selectedId, setSelectedId] = useState(null);
+    const [logLevel, setLogLevelState] = useState(getLogLevel);
+
+    const clients = [...new Set(entries.map((entry) => entry.client))];
+    const visible = entries.filter((entry) =>
+        (clientFilter === "all" || entry.client === clientFilter)
+        && (statusFilter === "all" || statusGroup(entry) === statusFilter)
+    );
+    const selected = entries.find((entry) => entry.id === selectedId) ?? null;
+    const barStyle = timelineOf(visible);
+
+    const changeLogLevel = (event) => {
+        setLogLevel(event.target.value);
+        setLogLevelState(event.target.value);
+    };
+
+    const exportLog = () => {
+        downloadJson(toHar(visible), `network-${new Date().toISOString().replace(/[:.]/g, "-")}.har.json`);
+    };
+
+    const clear = () => {
+        clearNetworkLog();
+        setSelectedId(null);
+    };
+
+    const handleKeyDown = (event) => {
+        if (event.key === "Escape") {
+            event.preventDefault();
+            setOpen(false);
+        }
+    };
+
+    if (!open) {
+        return (
+            <button
+                type="button"
+                onClick={() => setOpen(true)}
+                className="fixed bottom-4 left-4 z-50 px-3 py-2 rounded-full shadow-lg bg-gray-900 text-white text-sm"
+            >
+                Network ({entries.length})
+            </button>
+        );
+    }
+
+    return (
+        <section
+            aria-label="Network inspector"
+            onKeyDown={handleKeyDown}
+            className="fixed inset-x-0 bottom-0 z-50 h-[45vh] flex flex-col bg-gray-900 text-gray-100 text-xs shadow-2xl"
+        >
+            <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-b border-gray-700">
+                <h3 className="font-semibold text-sm mr-2">Network</h3>
+                <label className="flex items-center gap-1">
+                    <span className="sr-only">Client</span>
+                    <select
+                        value={clientFilter}
+                        onChange={(event) => setClientFilter(event.target.value)}
+                        className="bg-gray-800 border border-gray-600 rounded px-1 py-0.5"
+                    >
+                        <option value="all">All clients</option>
+                        {clients.map((client) => (
+                            <option key={client} value={client}>{client}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    <span className="sr-only">Status</span>
+                    <select
+                        value={statusFilter}
+                        onChange={(event) => setStatusFilter(event.target.value)}
+                        className="bg-gray-800 border border-gray-600 rounded px-1 py-0.5"
+                    >
+                        {STATUS_FILTERS.map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <span className="text-gray-400">
+                    {visible.length} of {entries.length} requests
+                </span>
+                {Object.entries(queueStats)
+                    .filter(([, { active, queued }]) => active > 0 || queued > 0)
+                    .map(([client, { active, queued }]) => (
+                        <span key={client} className="text-gray-400">
+                            · {client}: {active} in flight, {queued} queued
+                        </span>
+                    ))}
+
+                <div className="ml-auto flex items-center gap-2">
+                    <label className="flex items-center gap-1">
+                        Console
+                        <select
+                            value={logLevel}
+                            onChange={changeLogLevel}
+                            className="bg-gray-800 border border-gray-600 rounded px-1 py-0.5"
+                        >
+                            {LOG_LEVELS.map((level) => (
+                                <option key={level} value={level}>{level}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <button
+                        type="button"
+                        onClick={exportLog}
+                        disabled={visible.length === 0}
+                        className="px-2 py-1 rounded border border-gray-600 disabled:opacity-50"
+                    >
+                        Export
+                    </button>
+                    <button
+                        type="button"
+                        onClick={clear}
+                        className="px-2 py-1 rounded border border-gray-600"
+                    >
+                        Clear
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setOpen(false)}
+                        aria-label="Close network inspector"
+                        className="px-2 py-1 rounded border border-gray-600"
+                    >
+                        ×
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex flex-1 min-h-0">
+                <div className={`overflow-auto ${selected ? "w-1/2 border-r border-gray-700" : "w-full"}`}>
+                    {visible.length === 0 ? (
+                        <p className="p-3 text-gray-400">No requests yet.</p>
+                    ) : (
+                        <table className="w-full text-left">
+                            <thead className="sticky top-0 bg-gray-900 text-gray-400">
+                                <tr>
+                                    <th className="px-2 py-1 font-normal">Method</th>
+                                    <th className="px-2 py-1 font-normal">URL</th>
+                                    <th className="px-2 py-1 font-normal">Status</th>
+                                    <th className="px-2 py-1 font-normal">Time</th>
+                                    <th className="px-2 py-1 font-normal">Size</th>
+                                    <th className="px-2 py-1 font-normal w-1/4">Timeline</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {visible.map((entry) => (
+                                    <tr
+                                        key={entry.id}
+                                        className={`border-t border-gray-800 ${entry.id === selectedId ? "bg-gray-700" : "hover:bg-gray-800"}`}
+                                    >
+                                        <td className="px-2 py-1">{entry.method}</td>
+                                        <td className="px-2 py-1 max-w-0 w-full">
+                                            <button
+                                                type="button"
+                                                onClick={() => setSelectedId(entry.id)}
+                                                aria-pressed={entry.id === selectedId}
+                                                title={entry.fullURL}
+                                                className="block w-full truncate text-left"
+                                            >
+                                                <span className="text-gray-400">{entry.client} </span>
+                                                {entry.url}
+                                            </button>
+                                            {markersOf(entry).length > 0 && (
+                                                <span className="flex flex-wrap gap-1 mt-0.5">
+                                                    {markersOf(entry).map((marker) => (
+                                                        <span key={marker} className="px-1 rounded bg-gray-700 text-gray-300">
+                                                            {marker}
+                                                        </span>
+                                                    ))}
+                                                </span>
+                                            )}
+                                        </td>
+                                        <td className={`px-2 py-1 ${STATUS_CLASSES[statusGroup(entry)]}`}>
+                                            {statusLabel(entry)}
+                                        </td>
+                                        <td className="px-2 py-1 whitespace-nowrap">{formatDuration(entry.duration)}</td>
+                                        <td className="px-2 py-1 whitespace-nowrap">{formatSize(entry.size)}</td>
+                                        <td className="px-2 py-1">
+                                            <div className="relative h-2 bg-gray-800 rounded">
+                                                <div
+                                                    className={`absolute h-2 rounded ${entry.state === "pending" ? "bg-gray-500 animate-pulse" : entry.state === "failed" ? "bg-red-500" : "bg-blue-500"}`}
+                                                    style={barStyle(entry)}
+                                                />
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+
+                {selected && (
+                    <div className="w-1/2 flex flex-col min-h-0">
+                        <EntryDetails key={selected.id} entry={selected} onClose={() => setSelectedId(null)} />
+                    </div>
+                )}
+            </div>
+        </section>
+    );
+}
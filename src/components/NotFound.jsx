@@ -0,0 +1,15 @@
+import Link from '../router/Link.jsx';
+
+export default function NotFound() {
+    return (
+        <div className="py-16">
+            <h2 className="text-2xl font-bold mb-2">Page not found</h2>
+            <p className="text-gray-600 mb-6">
+                There is no demo at <code>{window.location.pathname}</code>.
+            </p>
+            <Link to="/" className="px-4 py-2 bg-blue-600 text-white rounded">
+                Back to all demos
+            </Link>
+        </div>
+    );
+}
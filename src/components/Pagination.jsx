@@ -0,0 +1,248 @@
+import { useEffect, useId, useRef, useState } from "react";
+import { getPageWindow, START_ELLIPSIS, END_ELLIPSIS } from "./pageWindow";
+
+/*
+  Pagination control
+
+  - Ellipsis window (1 … 4 5 6 … 40) instead of one button per page
+  - First / previous / next / last buttons
+  - "Go to page" input with validation
+  - Optional page-size selector
+  - "Showing 7–12 of 12" range text
+  - Keyboard: Left / Right arrows move one page, Home / End jump to the
+    first / last page while focus is on the page buttons
+  - `onPageIntent(page)` fires when a page button is focused or hovered
+    for a moment, so the list can preload that page before the click
+*/
+
+// Hover this long before it counts as intent (skips mouse fly-overs)
+const HOVER_INTENT_DELAY = 100;
+
+export default function Pagination({
+    page,
+    totalPages,
+    totalItems = null,
+    pageSize = null,
+    pageSizeOptions = [],
+    onPageChange,
+    onPageSizeChange,
+    onPageIntent,
+    siblingCount = 1,
+    disabled = false,
+    label = "Pagination",
+}) {
+    const [jumpValue, setJumpValue] = useState("");
+    const [jumpError, setJumpError] = useState(null);
+    const pageListRef = useRef(null);
+    const restoreFocusRef = useRef(false);
+    const hoverTimerRef = useRef(null);
+    const jumpInputId = useId();
+    const jumpErrorId = useId();
+    const pageSizeId = useId();
+
+    // Keep focus on the current page button after keyboard navigation
+    useEffect(() => {
+        if (!restoreFocusRef.current) return;
+        restoreFocusRef.current = false;
+        pageListRef.current?.querySelector('[aria-current="page"]')?.focus();
+    }, [page]);
+
+    useEffect(() => () => clearTimeout(hoverTimerRef.current), []);
+
+    if (!totalPages || totalPages < 1) return null;
+
+    const isFirst = page <= 1;
+    const isLast = page >= totalPages;
+
+    const changePage = (nextPage) => {
+        const clamped = Math.min(Math.max(1, nextPage), totalPages);
+        if (clamped !== page && !disabled) {
+            onPageChange(clamped);
+        }
+    };
+
+    // Props for buttons that lead to `target`: report hover / focus intent
+    const intentProps = (target) => {
+        if (!onPageIntent || disabled || target < 1 || target > totalPages || target === page) {
+            return {};
+        }
+        return {
+            onMouseEnter: () => {
+                clearTimeout(hoverTimerRef.current);
+                hoverTimerRef.current = setTimeout(() => onPageIntent(target), HOVER_INTENT_DELAY);
+            },
+            onMouseLeave: () => clearTimeout(hoverTimerRef.current),
+            onFocus: () => onPageIntent(target),
+        };
+    };
+
+    const handleKeyDown = (event) => {
+        const targets = {
+            ArrowLeft: page - 1,
+            ArrowRight: page + 1,
+            Home: 1,
+            End: totalPages,
+        };
+        if (!(event.key in targets)) return;
+
+        event.preventDefault();
+        restoreFocusRef.current = true;
+        changePage(targets[event.key]);
+    };
+
+    const handleJump = (event) => {
+        event.preventDefault();
+        const value = Number(jumpValue);
+
+        if (!Number.isInteger(value) || value < 1 || value > totalPages) {
+            setJumpError(`Enter a page between 1 and ${totalPages}`);
+            return;
+        }
+
+        setJumpError(null);
+        setJumpValue("");
+        changePage(value);
+    };
+
+    const rangeStart = totalItems == null || pageSize == null ? null : Math.min((page - 1) * pageSize + 1, totalItems);
+    const rangeEnd = rangeStart == null ? null : Math.min(page * pageSize, totalItems);
+
+    const navButtonClass = "px-3 py-2 bg-gray-300 text-gray-900 rounded disabled:opacity-50";
+
+    return (
+        <nav aria-label={label} className="flex flex-col items-center gap-4 mt-8">
+            <div className="flex flex-wrap justify-center items-center gap-2">
+                <button
+                    type="button"
+                    onClick={() => changePage(1)}
+                    {...intentProps(1)}
+                    disabled={isFirst || disabled}
+                    aria-label="First page"
+                    className={navButtonClass}
+                >
+                    «
+                </button>
+                <button
+                    type="button"
+                    onClick={() => changePage(page - 1)}
+                    {...intentProps(page - 1)}
+                    disabled={isFirst || disabled}
+                    aria-label="Previous page"
+                    className={navButtonClass}
+                >
+                    Previous
+                </button>
+
+                <ul ref={pageListRef} onKeyDown={handleKeyDown} className="flex flex-wrap gap-2">
+                    {getPageWindow(page, totalPages, siblingCount).map((item) => {
+                        if (item === START_ELLIPSIS || item === END_ELLIPSIS) {
+                            return (
+                                <li key={item} aria-hidden="true" className="px-2 py-2 text-gray-500">
+                                    …
+                                </li>
+                            );
+                        }
+
+                        const isCurrent = item === page;
+                        return (
+                            <li key={item}>
+                                <button
+                                    type="button"
+                                    onClick={() => changePage(item)}
+                                    {...intentProps(item)}
+                                    disabled={disabled && !isCurrent}
+                                    aria-current={isCurrent ? "page" : undefined}
+                                    aria-label={`Page ${item}`}
+                                    className={`px-4 py-2 rounded ${
+                                        isCurrent
+                                            ? "bg-blue-600 text-white"
+                                            : "bg-gray-200 text-gray-900"
+                                    }`}
+                                >
+                                    {item}
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+
+                <button
+                    type="button"
+                    onClick={() => changePage(page + 1)}
+                    {...intentProps(page + 1)}
+                    disabled={isLast || disabled}
+                    aria-label="Next page"
+                    className={navButtonClass}
+                >
+                    Next
+                </button>
+                <button
+                    type="button"
+                    onClick={() => changePage(totalPages)}
+                    {...intentProps(totalPages)}
+                    disabled={isLast || disabled}
+                    aria-label="Last page"
+                    className={navButtonClass}
+                >
+                    »
+                </button>
+            </div>
+
+            <div className="flex flex-wrap justify-center items-start gap-6 text-sm">
+                {rangeStart != null && (
+                    <p aria-live="polite">
+                        Showing {rangeStart}–{rangeEnd} of {totalItems}
+                    </p>
+                )}
+
+                {pageSizeOptions.length > 0 && onPageSizeChange && (
+                    <div className="flex items-center gap-2">
+                        <label htmlFor={pageSizeId}>Per page</label>
+                        <select
+                            id={pageSizeId}
+                            value={pageSize ?? ""}
+                            onChange={(event) => onPageSizeChange(Number(event.target.value))}
+                            disabled={disabled}
+                            className="border rounded px-2 py-1"
+                        >
+                            {pageSizeOptions.map((option) => (
+                                <option key={option} value={option}>
+                                    {option}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                <form onSubmit={handleJump} noValidate className="flex flex-col items-start gap-1">
+                    <div className="flex items-center gap-2">
+                        <label htmlFor={jumpInputId}>Go to page</label>
+                        <input
+                            id={jumpInputId}
+                            type="number"
+                            inputMode="numeric"
+                            min={1}
+                            max={totalPages}
+                            value={jumpValue}
+                            onChange={(event) => {
+                                setJumpValue(event.target.value);
+                                setJumpError(null);
+                            }}
+                            aria-invalid={jumpError ? "true" : undefined}
+                            aria-describedby={jumpError ? jumpErrorId : undefined}
+                            className="w-20 border rounded px-2 py-1"
+                        />
+                        <button type="submit" disabled={disabled} className="px-3 py-1 bg-gray-200 text-gray-900 rounded">
+                            Go
+                        </button>
+                    </div>
+                    {jumpError && (
+                        <p id={jumpErrorId} role="alert" className="text-red-600">
+                            {jumpError}
+                        </p>
+                    )}
+                </form>
+            </div>
+        </nav>
+    );
+}
@@ -0,0 +1,169 @@
+import { useId } from "react";
+import { getFilterChips, RATING_OPTIONS, SORT_OPTIONS } from "./productFilters";
+
+/*
+  Facet panel for product search: category, sort, minimum rating, brand
+  checkboxes and a price range, plus the active filters as removable
+  chips. Stateless - every change is reported as a patch through
+  `onChange(patch, { history })`, which fits useUrlState's setter.
+*/
+
+export default function ProductFilters({
+    filters,
+    onChange,
+    categories = [],
+    facets,
+    disabled = false,
+}) {
+    const categoryId = useId();
+    const sortId = useId();
+    const ratingId = useId();
+    const minPriceId = useId();
+    const maxPriceId = useId();
+
+    const chips = getFilterChips(filters, categories);
+    const { brands, priceRange } = facets;
+
+    const toggleBrand = (brand) => {
+        const selected = filters.brands.includes(brand)
+            ? filters.brands.filter((item) => item !== brand)
+            : [...filters.brands, brand];
+        onChange({ brands: selected });
+    };
+
+    // Slider ends mean "no limit" so the filter drops out of the URL
+    const changePrice = (bound, value) => {
+        if (bound === "min") {
+            const min = Math.min(value, filters.maxPrice || priceRange.max);
+            onChange({ minPrice: min <= priceRange.min ? 0 : min }, { history: "replace" });
+        } else {
+            const max = Math.max(value, filters.minPrice || priceRange.min);
+            onChange({ maxPrice: max >= priceRange.max ? 0 : max }, { history: "replace" });
+        }
+    };
+
+    return (
+        <section aria-label="Filters" className="flex flex-col gap-4 my-4 text-left">
+            <div className="flex flex-wrap gap-4 items-end">
+                <div className="flex flex-col gap-1">
+                    <label htmlFor={categoryId}>Category</label>
+                    <select
+                        id={categoryId}
+                        value={filters.category}
+                        onChange={(event) => onChange({ category: event.target.value })}
+                        disabled={disabled}
+                        className="border rounded px-2 py-1"
+                    >
+                        <option value="">All categories</option>
+                        {categories.map((category) => (
+                            <option key={category.slug} value={category.slug}>
+                                {category.name}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="flex flex-col gap-1">
+                    <label htmlFor={sortId}>Sort by</label>
+                    <select
+                        id={sortId}
+                        value={filters.sort}
+                        onChange={(event) => onChange({ sort: event.target.value })}
+                        disabled={disabled}
+                        className="border rounded px-2 py-1"
+                    >
+                        {SORT_OPTIONS.map((option) => (
+                            <option key={option.value} value={option.value}>
+                                {option.label}
+                            </option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="flex flex-col gap-1">
+                    <label htmlFor={ratingId}>Minimum rating</label>
+                    <select
+                        id={ratingId}
+                        value={filters.rating}
+                        onChange={(event) => onChange({ rating: Number(event.target.value) })}
+                        disabled={disabled}
+                        className="border rounded px-2 py-1"
+                    >
+                        <option value={0}>Any rating</option>
+                        {RATING_OPTIONS.map((rating) => (
+                            <option key={rating} value={rating}>
+                                {rating}★ & up
+                            </option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+
+            {brands.length > 0 && (
+                <fieldset className="flex flex-wrap gap-x-4 gap-y-1" disabled={disabled}>
+                    <legend className="mb-1">Brand</legend>
+                    {brands.map(({ name, count }) => (
+                        <label key={name} className="flex items-center gap-1">
+                            <input
+                                type="checkbox"
+                                checked={filters.brands.includes(name)}
+                                onChange={() => toggleBrand(name)}
+                            />
+                            {name} ({count})
+                        </label>
+                    ))}
+                </fieldset>
+            )}
+
+            {priceRange && priceRange.max > priceRange.min && (
+                <fieldset className="flex flex-wrap gap-4 items-center" disabled={disabled}>
+                    <legend className="mb-1">Price</legend>
+                    <label htmlFor={minPriceId}>Min ${filters.minPrice || priceRange.min}</label>
+                    <input
+                        id={minPriceId}
+                        type="range"
+                        min={priceRange.min}
+                        max={priceRange.max}
+                        value={filters.minPrice || priceRange.min}
+                        onChange={(event) => changePrice("min", Number(event.target.value))}
+                    />
+                    <label htmlFor={maxPriceId}>Max ${filters.maxPrice || priceRange.max}</label>
+                    <input
+                        id={maxPriceId}
+                        type="range"
+                        min={priceRange.min}
+                        max={priceRange.max}
+                        value={filters.maxPrice || priceRange.max}
+                        onChange={(event) => changePrice("max", Number(event.target.value))}
+                    />
+                </fieldset>
+            )}
+
+            {chips.length > 0 && (
+                <ul aria-label="Active filters" className="flex flex-wrap gap-2">
+                    {chips.map((chip) => (
+                        <li key={chip.key}>
+                            <button
+                                type="button"
+                                onClick={() => onChange(chip.remove)}
+                                aria-label={`Remove filter ${chip.label}`}
+                                className="px-3 py-1 rounded-full bg-blue-100 text-blue-900 text-sm"
+                            >
+                                {chip.label} ✕
+                            </button>
+                        </li>
+                    ))}
+                    <li>
+                        <button
+                            type="button"
+                            onClick={() => onChange({ category: "", brands: [], minPrice: 0, maxPrice: 0, rating: 0 })}
+                            className="px-3 py-1 text-sm text-blue-600"
+                        >
+                            Clear all filters
+                        </button>
+                    </li>
+                </ul>
+            )}
+        </section>
+    );
+}
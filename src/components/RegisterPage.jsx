@@ -0,0 +1,5 @@
+import AuthForm from "./AuthForm.jsx";
+
+export default function RegisterPage() {
+    return <AuthForm mode="register" />;
+}
@@ -0,0 +1,27 @@
+import { useEffect } from "react";
+import { loginPath, useSession } from "../auth/session";
+import { navigate } from "../router/navigation";
+
+/*
+  Protected route
+
+  Renders its children only while signed in. Otherwise (including after
+  a sign-out in another tab) it replaces the current history entry with
+  the login page, which comes back here afterwards.
+*/
+
+export default function RequireAuth({ children }) {
+    const session = useSession();
+
+    useEffect(() => {
+        if (!session) {
+            navigate(loginPath(), { replace: true });
+        }
+    }, [session]);
+
+    if (!session) {
+        return <p className="text-center text-gray-600">Redirecting to login…</p>;
+    }
+
+    return children;
+}
@@ -0,0 +1,234 @@
+import { useEffect, useId, useRef, useState } from "react";
+
+/*
+  Search combobox (WAI-ARIA 1.2 "combobox with listbox popup")
+
+  - Text input with role="combobox"; the popup lists recent searches
+    (filtered by what has been typed) followed by suggestions
+  - Arrow Up / Down move through the options, Enter picks the active one
+    (or submits the typed text), Escape closes the popup and, when it is
+    already closed, clears the input
+  - Shift+Delete removes the active recent search; each recent entry also
+    has a remove button, and the popup footer clears them all
+  - Focus stays in the input; the active option is exposed through
+    aria-activedescendant
+
+  The component is controlled: `value` / `onChange` for the text,
+  `onSubmit(term)` when a term is picked or Enter is pressed.
+*/
+
+const MAX_RECENT_SHOWN = 5;
+
+export default function SearchCombobox({
+    value,
+    onChange,
+    onSubmit,
+    suggestions = [],
+    recent = [],
+    onRemoveRecent,
+    onClearRecent,
+    renderLabel = (label) => label,
+    label = "Search",
+    placeholder,
+}) {
+    const [open, setOpen] = useState(false);
+    const [active, setActive] = useState({ index: -1, value });
+    const containerRef = useRef(null);
+    const inputId = useId();
+    const listboxId = useId();
+    const recentLabelId = useId();
+    const suggestionsLabelId = useId();
+
+    const needle = value.trim().toLowerCase();
+    const recentOptions = recent
+        .filter((term) => !needle || term.toLowerCase().includes(needle))
+        .slice(0, MAX_RECENT_SHOWN)
+        .map((term, index) => ({ id: `${listboxId}-recent-${index}`, label: term, recent: true }));
+    const recentTerms = new Set(recentOptions.map((option) => option.label.toLowerCase()));
+    const suggestionOptions = suggestions
+        .filter((suggestion) => !recentTerms.has(suggestion.label.toLowerCase()))
+        .map((suggestion, index) => ({ id: `${listboxId}-suggestion-${index}`, label: suggestion.label }));
+    const options = [...recentOptions, ...suggestionOptions];
+
+    // Typing starts a new option list; the previous highlight no longer applies
+    const activeIndex = active.value === value && active.index < options.length ? active.index : -1;
+    const activeOption = activeIndex >= 0 ? options[activeIndex] : null;
+    const expanded = open && options.length > 0;
+
+    useEffect(() => {
+        if (activeOption) {
+            document.getElementById(activeOption.id)?.scrollIntoView({ block: "nearest" });
+        }
+    }, [activeOption]);
+
+    const setActiveIndex = (index) => setActive({ index, value });
+
+    const close = () => {
+        setOpen(false);
+        setActiveIndex(-1);
+    };
+
+    const submit = (term) => {
+        close();
+        onSubmit(term);
+    };
+
+    const handleKeyDown = (event) => {
+        switch (event.key) {
+            case "ArrowDown":
+                event.preventDefault();
+                if (!expanded) {
+                    setOpen(true);
+                    setActiveIndex(event.altKey || options.length === 0 ? -1 : 0);
+                } else {
+                    setActiveIndex((activeIndex + 1) % options.length);
+                }
+                break;
+            case "ArrowUp":
+                if (!expanded) return;
+                event.preventDefault();
+                setActiveIndex(activeIndex <= 0 ? options.length - 1 : activeIndex - 1);
+                break;
+            case "Enter":
+                event.preventDefault();
+                submit(activeOption ? activeOption.label : value);
+                break;
+            case "Escape":
+                if (expanded) {
+                    event.preventDefault();
+                    close();
+                } else if (value) {
+                    event.preventDefault();
+                    onChange("");
+                }
+                break;
+            case "Delete":
+                if (event.shiftKey && activeOption?.recent) {
+                    event.preventDefault();
+                    onRemoveRecent(activeOption.label);
+                }
+                break;
+            case "Tab":
+                close();
+                break;
+            default:
+        }
+    };
+
+    const handleBlur = (event) => {
+        if (!containerRef.current?.contains(event.relatedTarget)) {
+            close();
+        }
+    };
+
+    const renderOption = (option, index) => {
+        const isActive = index === activeIndex;
+        return (
+            <li
+                key={option.id}
+                id={option.id}
+                role="option"
+                aria-selected={isActive}
+                // Keep focus in the input while picking with the mouse
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => submit(option.label)}
+                onMouseMove={() => !isActive && setActiveIndex(index)}
+                className={`flex items-center justify-between gap-2 px-3 py-2 cursor-pointer ${
+                    isActive ? "bg-blue-600 text-white" : "text-gray-900"
+                }`}
+            >
+                <span>{option.recent ? option.label : renderLabel(option.label)}</span>
+                {option.recent && (
+                    <button
+                        type="button"
+                        tabIndex={-1}
+                        aria-label={`Remove "${option.label}" from recent searches`}
+                        onMouseDown={(event) => event.preventDefault()}
+                        onClick={(event) => {
+                            event.stopPropagation();
+                            onRemoveRecent(option.label);
+                        }}
+                        className="px-2 text-sm opacity-70 hover:opacity-100"
+                    >
+                        ✕
+                    </button>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <div ref={containerRef} onBlur={handleBlur} className="relative w-full">
+            <label htmlFor={inputId} className="sr-only">
+                {label}
+            </label>
+            <input
+                id={inputId}
+                type="text"
+                role="combobox"
+                autoComplete="off"
+                aria-autocomplete="list"
+                aria-expanded={expanded}
+                aria-controls={listboxId}
+                aria-activedescendant={activeOption?.id}
+                placeholder={placeholder}
+                value={value}
+                onChange={(event) => {
+                    onChange(event.target.value);
+                    setOpen(true);
+                }}
+                onFocus={() => setOpen(true)}
+                onClick={() => setOpen(true)}
+                onKeyDown={handleKeyDown}
+                className="search-input"
+            />
+
+            <div
+                hidden={!expanded}
+                className="absolute z-10 left-0 right-0 mt-1 bg-white rounded shadow-lg text-left"
+            >
+                <ul id={listboxId} role="listbox" aria-label={label} className="max-h-80 overflow-y-auto">
+                    {recentOptions.length > 0 && (
+                        <li role="presentation">
+                            <ul role="group" aria-labelledby={recentLabelId}>
+                                <li id={recentLabelId} role="presentation" className="px-3 pt-2 text-xs uppercase text-gray-500">
+                                    Recent searches
+                                </li>
+                                {recentOptions.map((option, index) => renderOption(option, index))}
+                            </ul>
+                        </li>
+                    )}
+                    {suggestionOptions.length > 0 && (
+                        <li role="presentation">
+                            <ul role="group" aria-labelledby={suggestionsLabelId}>
+                                <li id={suggestionsLabelId} role="presentation" className="px-3 pt-2 text-xs uppercase text-gray-500">
+                                    Suggestions
+                                </li>
+                                {suggestionOptions.map((option, index) =>
+                                    renderOption(option, recentOptions.length + index)
+                                )}
+                            </ul>
+                        </li>
+                    )}
+                </ul>
+
+                {recent.length > 0 && onClearRecent && (
+                    <div className="border-t px-3 py-2 text-right">
+                        <button
+                            type="button"
+                            onMouseDown={(event) => event.preventDefault()}
+                            onClick={onClearRecent}
+                            className="text-sm text-blue-600"
+                        >
+                            Clear recent searches
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            <p aria-live="polite" className="sr-only">
+                {expanded ? `${options.length} option${options.length !== 1 ? "s" : ""} available` : ""}
+            </p>
+        </div>
+    );
+}
@@ -1,62 +1,78 @@
 import { useEffect, useState } from "react"
+import { cancelRequests } from "../api/axiosConfig"
+import { isAbortError } from "../api/apiError"
+import { placeholderUsersService } from "../api/placeholderUserService"
+import { useUrlState } from "../hooks/useUrlState"
+import { useSearchIndex } from "../hooks/useSearchIndex"
+import Highlight from "./Highlight.jsx"
+import ErrorNotice from "./ErrorNotice.jsx"
+
+const USERS_REQUEST_KEY = 'search-with-debounce-users'
+const URL_STATE_DEFAULTS = { q: '' }
+
+// Searchable fields; the names double as `field:` prefixes in the query
+const USER_SEARCH_FIELDS = [
+    { name: 'name', path: 'name', weight: 3 },
+    { name: 'username', path: 'username', weight: 2 },
+    { name: 'email', path: 'email', weight: 2 },
+    { name: 'company', path: 'company.name', weight: 1.5 },
+    { name: 'city', path: 'address.city', weight: 1.5 },
+    { name: 'phone', path: 'phone', weight: 1 },
+    { name: 'website', path: 'website', weight: 1 },
+]
+
 export function SearchWithDebounce(){
-    const [searchTerm, setSearchTerm] = useState('')
-    const [debouncedSearch, setDebouncedSearch] = useState('')
+    const [urlState, setUrlState] = useUrlState(URL_STATE_DEFAULTS, { prefix: 'people' })
+    const debouncedSearch = urlState.q
+    const [searchTerm, setSearchTerm] = useState(debouncedSearch)
+    const [syncedSearch, setSyncedSearch] = useState(debouncedSearch)
     const [users, setUsers] = useState([])
-    const [filteredUsers, setFilteredUsers] = useState([])
     const [loading, setLoading] = useState(true)
     const [error, setError] = useState(null)
+    const [showScores, setShowScores] = useState(false)
+    const [attempt, setAttempt] = useState(0)
 
     useEffect(()=>{
         const fetchAllUsers = async ()=>{
             try{
                 setLoading(true)
-                const response = await fetch(`https://jsonplaceholder.typicode.com/users`)
-
-                if(!response.ok){
-                    throw new Error("Failed to fetch the users")
-                }
-                const data = await response.json()
-                setUsers(data)
-                setFilteredUsers(data)
+                const { items } = await placeholderUsersService.list({}, {
+                    cancelKey: USERS_REQUEST_KEY
+                })
+                setUsers(items)
                 setError(null)
             }
             catch(err){
-                setError(err.message)
-            }
-            finally{
-                setLoading(false)
+                if(isAbortError(err)) return
+                setError(err)
             }
+            setLoading(false)
         }
         fetchAllUsers()
-    },[])
+
+        return () => cancelRequests(USERS_REQUEST_KEY)
+    },[attempt])
+
+    // Back / forward changed the query: show it in the input
+    if(debouncedSearch !== syncedSearch){
+        setSyncedSearch(debouncedSearch)
+        setSearchTerm(debouncedSearch)
+    }
 
     useEffect(()=>{
         const timer = setTimeout(()=>{
-            setDebouncedSearch(searchTerm)
+            setUrlState({ q: searchTerm })
         }, 500)
 
         return () => {
             clearTimeout(timer)
         }
 
-    }, [searchTerm])
+    }, [searchTerm, setUrlState])
 
-    useEffect(()=>{
-        if(!debouncedSearch.trim()){
-            setFilteredUsers(users)
-            return
-        }
-
-        const filtered = users.filter((user)=>{
-            const searchLower = debouncedSearch.toLowerCase()
-            const nameMatch = user.name.toLowerCase().includes(searchLower)
-            const emailMatch = user.email.toLowerCase().includes(searchLower)
-            return nameMatch || emailMatch
-        })
-
-        setFilteredUsers(filtered)
-    }, [debouncedSearch, users])
+    // Fuzzy, ranked and field-scoped (see searchEngine.js); best match first.
+    // Indexed and searched in a Web Worker so large lists stay responsive
+    const { results, searching, progress } = useSearchIndex(users, USER_SEARCH_FIELDS, debouncedSearch)
 
     const handleChangeSearch = (event)=>{
         const value = event.target.value
@@ -65,7 +81,7 @@ export function SearchWithDebounce(){
 
     const handleClearSearch = () => {
         setSearchTerm('');
-        setDebouncedSearch('');
+        setUrlState({ q: '' });
     };
 
 
@@ -80,7 +96,7 @@ export function SearchWithDebounce(){
     if(error){
         return (
             <div>
-                <p>Error: {error}</p>
+                <ErrorNotice error={error} onRetry={()=>setAttempt((count)=>count + 1)} />
             </div>
         )
     }
@@ -92,7 +108,7 @@ export function SearchWithDebounce(){
 
             <input
                 type = "text"
-                placeholder = "Search by name or email"
+                placeholder = "Search by name, username, email, company, city or phone"
                 value={searchTerm}
                 onChange={handleChangeSearch}
             ></input>
@@ -102,6 +118,19 @@ export function SearchWithDebounce(){
                     onClick = {handleClearSearch}
                 >x Clear</button>
             )}
+
+            <p style={{ fontSize: '0.9em', color: '#888' }}>
+                Typos are fine. Narrow to one field with {USER_SEARCH_FIELDS.map((field) => `${field.name}:`).join(' ')}
+                {' '}e.g. <code>company:romaguera city:"south elvis"</code>
+            </p>
+
+            <label>
+                <input
+                    type="checkbox"
+                    checked={showScores}
+                    onChange={(event) => setShowScores(event.target.checked)}
+                /> Show relevance scores
+            </label>
         </div>
 
         <div>
@@ -112,26 +141,46 @@ export function SearchWithDebounce(){
             }
         </div>
 
-        <p>
-            Showing {filteredUsers.length} out of {users.length}
+        {progress && (
+            <p role="status">
+                Indexing users… {progress.indexed} / {progress.total}
+                {' '}<progress value={progress.indexed} max={progress.total} />
+            </p>
+        )}
+
+        <p aria-live="polite">
+            Showing {results.length} out of {users.length}
+            {searching && ' (searching…)'}
         </p>
         
-        {filteredUsers.length > 0 ? (
+        {results.length > 0 ? (
             <div>
-                {filteredUsers.map((user) => (
+                {results.map(({ item: user, score, fields, matches }) => (
                     <div key={user.id} className="user-card">
                         <h3>
-                            {highlightText(user.name, debouncedSearch)}
+                            <Highlight text={user.name} ranges={matches.name ?? []} />
                         </h3>
                         <p>
-                            {highlightText(user.email, debouncedSearch)}
+                            @<Highlight text={user.username} ranges={matches.username ?? []} />
+                            {' · '}<Highlight text={user.email} ranges={matches.email ?? []} />
+                        </p>
+                        <p>
+                            <Highlight text={user.company.name} ranges={matches.company ?? []} />
+                            {' · '}<Highlight text={user.address.city} ranges={matches.city ?? []} />
                         </p>
-                        <p>{user.company.name}</p>
-                        <p>{user.website}</p>
+                        <p>
+                            <Highlight text={user.phone} ranges={matches.phone ?? []} />
+                            {' · '}<Highlight text={user.website} ranges={matches.website ?? []} />
+                        </p>
+                        {showScores && debouncedSearch.trim() && (
+                            <p style={{ fontSize: '0.8em', color: '#888' }}>
+                                Score {score.toFixed(2)} (matched {fields.join(', ')})
+                            </p>
+                        )}
                     </div>
                 ))}
             </div>
-        ) : (
+        ) : !searching && (
             <p>
                 No users found matching "{debouncedSearch}". Try a different search
             </p>
@@ -139,23 +188,3 @@ export function SearchWithDebounce(){
         </>
     )
 }
-
-function highlightText(text, highlight){
-    if(!highlight.trim()){
-        return text
-    }
-
-    const regex = new RegExp(`(${highlight})`, 'gi');
-    const parts = text.split(regex)
-
-    return (
-        <span>
-            {parts.map((part, index)=>regex.test(part)?(
-                <strong key = {index} > {part} </strong>
-            ):(
-                <span key={index}>{part}</span>
-            )
-            )}
-        </span>
-    )
-}
\ No newline at end of file
@@ -0,0 +1,27 @@
+import Link from '../router/Link.jsx';
+import { demoRoutes } from '../routes';
+
+export default function SidebarNav() {
+    return (
+        <nav aria-label="Demos" className="md:w-60 shrink-0">
+            <ul className="flex md:flex-col gap-2 overflow-x-auto md:overflow-visible">
+                {demoRoutes.map((route) => (
+                    <li key={route.path}>
+                        <Link
+                            to={route.path}
+                            className={({ isActive }) =>
+                                `block whitespace-nowrap rounded px-4 py-2 text-left ${
+                                    isActive
+                                        ? 'bg-blue-600 text-white'
+                                        : 'bg-gray-200 text-gray-800 hover:bg-gray-300'
+                                }`
+                            }
+                        >
+                            {route.label}
+                        </Link>
+                    </li>
+                ))}
+            </ul>
+        </nav>
+    );
+}
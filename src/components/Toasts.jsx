@@ -0,0 +1,53 @@
+/*
+  Toasts
+
+  Stack of short notices in the bottom corner. The owner keeps the list
+  and decides when each toast goes away:
+
+    <Toasts toasts={toasts} onDismiss={dismissToast} />
+
+  Each toast is { id, message, tone?: 'info' | 'error', action?: { label, onClick } }.
+  The region is a polite live region, so screen readers announce new
+  toasts without moving focus.
+*/
+
+const TONE_CLASSES = {
+    info: "bg-gray-900 text-white",
+    error: "bg-red-700 text-white",
+};
+
+export default function Toasts({ toasts, onDismiss }) {
+    return (
+        <div
+            role="status"
+            aria-live="polite"
+            className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80 max-w-[calc(100vw-2rem)]"
+        >
+            {toasts.map((toast) => (
+                <div
+                    key={toast.id}
+                    className={`flex items-center gap-3 rounded-lg shadow-lg px-4 py-3 text-sm ${TONE_CLASSES[toast.tone ?? "info"]}`}
+                >
+                    <span className="flex-1">{toast.message}</span>
+                    {toast.action && (
+                        <button
+                            type="button"
+                            onClick={toast.action.onClick}
+                            className="font-semibold underline"
+                        >
+                            {toast.action.label}
+                        </button>
+                    )}
+                    <button
+                        type="button"
+                        onClick={() => onDismiss(toast.id)}
+                        aria-label="Dismiss"
+                        className="opacity-70 hover:opacity-100"
+                    >
+                        ×
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1,129 @@
+import { useId, useState } from "react";
+import { validateUser } from "../api/userService";
+
+/*
+  User form
+
+  Used both for "Add user" and for editing a user card in place:
+
+    <UserForm submitLabel="Add user" onSubmit={handleCreate} onCancel={close} />
+
+  - Values are checked with validateUser; a field shows its error once it
+    has been left (or on submit), and the first invalid field gets focus
+  - `onSubmit` receives trimmed values and only runs when they are valid
+*/
+
+const EMPTY_USER = { firstName: "", lastName: "", email: "" };
+
+const FIELDS = [
+    { name: "firstName", label: "First name", type: "text", autoComplete: "given-name" },
+    { name: "lastName", label: "Last name", type: "text", autoComplete: "family-name" },
+    { name: "email", label: "Email", type: "email", autoComplete: "email" },
+];
+
+const trimValues = (values) =>
+    Object.fromEntries(Object.entries(values).map(([name, value]) => [name, value.trim()]));
+
+export default function UserForm({
+    initialValues = EMPTY_USER,
+    submitLabel = "Save",
+    onSubmit,
+    onCancel,
+    className = "",
+}) {
+    const [values, setValues] = useState(() => ({
+        firstName: initialValues.firstName ?? "",
+        lastName: initialValues.lastName ?? "",
+        email: initialValues.email ?? "",
+    }));
+    const [touched, setTouched] = useState({});
+    const formId = useId();
+
+    const errors = validateUser(values);
+
+    const handleChange = (event) => {
+        const { name, value } = event.target;
+        setValues((prev) => ({ ...prev, [name]: value }));
+    };
+
+    const handleBlur = (event) => {
+        const { name } = event.target;
+        setTouched((prev) => ({ ...prev, [name]: true }));
+    };
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        const invalid = FIELDS.find((field) => errors[field.name]);
+        if (invalid) {
+            setTouched({ firstName: true, lastName: true, email: true });
+            event.currentTarget.elements[invalid.name]?.focus();
+            return;
+        }
+        onSubmit(trimValues(values));
+    };
+
+    const handleKeyDown = (event) => {
+        if (event.key === "Escape" && onCancel) {
+            event.preventDefault();
+            onCancel();
+        }
+    };
+
+    return (
+        <form
+            noValidate
+            onSubmit={handleSubmit}
+            onKeyDown={handleKeyDown}
+            className={`space-y-3 text-left ${className}`}
+        >
+            {FIELDS.map((field) => {
+                const inputId = `${formId}-${field.name}`;
+                const errorId = `${inputId}-error`;
+                const error = touched[field.name] ? errors[field.name] : null;
+
+                return (
+                    <div key={field.name}>
+                        <label htmlFor={inputId} className="block text-sm font-medium text-gray-700">
+                            {field.label}
+                        </label>
+                        <input
+                            id={inputId}
+                            name={field.name}
+                            type={field.type}
+                            autoComplete={field.autoComplete}
+                            value={values[field.name]}
+                            onChange={handleChange}
+                            onBlur={handleBlur}
+                            aria-invalid={Boolean(error)}
+                            aria-describedby={error ? errorId : undefined}
+                            className={`mt-1 w-full rounded border px-3 py-2 text-sm ${error ? "border-red-500" : "border-gray-300"}`}
+                        />
+                        {error && (
+                            <p id={errorId} className="mt-1 text-xs text-red-600">
+                                {error}
+                            </p>
+                        )}
+                    </div>
+                );
+            })}
+
+            <div className="flex justify-end gap-2">
+                {onCancel && (
+                    <button
+                        type="button"
+                        onClick={onCancel}
+                        className="px-3 py-1.5 rounded border border-gray-300 text-sm"
+                    >
+                        Cancel
+                    </button>
+                )}
+                <button
+                    type="submit"
+                    className="px-3 py-1.5 rounded bg-blue-600 text-white text-sm"
+                >
+                    {submitLabel}
+                </button>
+            </div>
+        </form>
+    );
+}
@@ -1,45 +1,249 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
+import { usePaginatedQuery } from "../hooks/usePaginatedQuery";
+import { servicePageAdapter } from "../api/paginationAdapters";
+import { userWritesPersist, usersService, withFullName } from "../api/userService";
+import { useUrlState } from "../hooks/useUrlState";
+import Pagination from "./Pagination.jsx";
+import UserForm from "./UserForm.jsx";
+import Toasts from "./Toasts.jsx";
+import ErrorNotice from "./ErrorNotice.jsx";
+
+/*
+  User management
+
+  - "Add user", inline edit and delete (with a confirmation step)
+  - Changes show up immediately and are rolled back with an error toast
+    if the request fails
+  - A successful change is reconciled on the page: new users get the id
+    the server returned, the total follows, and the page is trimmed back
+    to its size after an add or topped up from the next page after a
+    delete. The mock backend stores writes, so there the page is then
+    fetched again (the response cache drops /users entries after every
+    write); live reqres does not, and its page would undo the change
+  - A delete is only sent once its "Undo" toast has expired; leaving the
+    page sends pending deletes right away
+*/
+
+const USERS_PER_PAGE = 6;
+const PAGE_SIZE_OPTIONS = [3, 6, 12];
+const URL_STATE_DEFAULTS = { page: 1, pageSize: USERS_PER_PAGE };
+
+const TOAST_DURATION = 4000;
+const UNDO_WINDOW = 5000;
+
+const fetchUsers = (params, { signal, onRetry, onQueueChange, prefetch }) =>
+    usersService.list(params, { signal, onRetry, onQueueChange, prefetch, cancelKey: "user-pagination" });
+
+const isUnsaved = (user) => typeof user.id === "string" && user.id.startsWith("new-");
+
+// Only the fields that differ, so PATCH sends the actual change
+const changedFields = (user, values) =>
+    Object.fromEntries(Object.entries(values).filter(([name, value]) => user[name] !== value));
 
 export default function UserPagination() {
-    const [users, setUsers] = useState([]);
-    const [page, setPage] = useState(1);
-    const [totalPages, setTotalPages] = useState(0);
-    const [loading, setLoading] = useState(false);
-    const [error, setError] = useState(null);
+    const [urlState, setUrlState] = useUrlState(URL_STATE_DEFAULTS, { prefix: "users" });
 
-    const USERS_PER_PAGE = 6;
+    const {
+        items: users,
+        page,
+        pageSize,
+        total,
+        totalPages,
+        loading,
+        error,
+        retry,
+        queued,
+        goToPage,
+        setPageSize,
+        prefetchPage,
+        reload,
+        retryFailed,
+        updateItems,
+        adjustTotal,
+    } = usePaginatedQuery(fetchUsers, servicePageAdapter, {
+        page: urlState.page,
+        pageSize: urlState.pageSize,
+        onPageChange: (page) => setUrlState({ page }),
+        // per_page is sent to the server; start again from page 1
+        onPageSizeChange: (pageSize) => setUrlState({ pageSize, page: 1 }),
+    });
 
-    useEffect(() => {
-    const fetchUsers = async () => {
-        setLoading(true);
-        setError(null);
+    const [adding, setAdding] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [confirmingId, setConfirmingId] = useState(null);
+    const [savingIds, setSavingIds] = useState([]);
+    // Deleted but still undoable: hidden, not yet sent
+    const [hiddenIds, setHiddenIds] = useState([]);
+    const [toasts, setToasts] = useState([]);
+
+    const nextIdRef = useRef(0);
+    // Deleted users; live reqres still lists them, so never top a page up with them
+    const deletedIdsRef = useRef(new Set());
+    const toastTimersRef = useRef(new Map());
+    const pendingDeletesRef = useRef(new Map());
 
+    const dismissToast = useCallback((id) => {
+        clearTimeout(toastTimersRef.current.get(id));
+        toastTimersRef.current.delete(id);
+        setToasts((prev) => prev.filter((toast) => toast.id !== id));
+    }, []);
+
+    const notify = useCallback(({ duration = TOAST_DURATION, ...toast }) => {
+        nextIdRef.current += 1;
+        const id = nextIdRef.current;
+        setToasts((prev) => [...prev, { ...toast, id }]);
+        toastTimersRef.current.set(id, setTimeout(() => dismissToast(id), duration));
+        return id;
+    }, [dismissToast]);
+
+    // Top the page up with the first users of the next page not shown yet
+    const fillPage = useCallback(async () => {
+        if (totalPages == null || page >= totalPages) return;
+        const skip = new Set(deletedIdsRef.current);
         try {
-            const response = await fetch(
-                `https://reqres.in/api/users?page=${page}&per_page=6`,
-                {
-                    headers: {
-                        "x-api-key": import.meta.env.VITE_REQRES_API_KEY,
-                    },
-                }
-            );
-
-            if (!response.ok) {
-                throw new Error("Failed to fetch users");
-            }
-
-            const result = await response.json();
-            setUsers(result.data);
-            setTotalPages(result.total_pages);
+            const next = await usersService.list({ page: page + 1, pageSize });
+            updateItems((prev) => {
+                const shown = new Set(prev.map((user) => user.id));
+                const fill = next.items.filter((user) => !shown.has(user.id) && !skip.has(user.id));
+                return [...prev, ...fill.slice(0, Math.max(0, pageSize - prev.length))];
+            });
+        } catch {
+            // The page stays one short until it is loaded again
+        }
+    }, [page, pageSize, totalPages, updateItems]);
+
+    const syncAfterDelete = useCallback(() => {
+        if (userWritesPersist) {
+            reload();
+        } else {
+            fillPage();
+        }
+    }, [reload, fillPage]);
+
+    const syncAfterWrite = useCallback(() => {
+        if (userWritesPersist) reload();
+    }, [reload]);
+
+    const setSaving = (id, saving) => {
+        setSavingIds((prev) => (saving ? [...prev, id] : prev.filter((savingId) => savingId !== id)));
+    };
+
+    const handleCreate = async (values) => {
+        setAdding(false);
+        nextIdRef.current += 1;
+        const tempId = `new-${nextIdRef.current}`;
+        const optimistic = withFullName({ ...values, id: tempId, avatar: null });
+
+        updateItems((prev) => [optimistic, ...prev]);
+        setSaving(tempId, true);
+        try {
+            const created = await usersService.create(values);
+            updateItems((prev) => prev
+                .map((user) => (user.id === tempId ? { ...optimistic, ...created } : user))
+                .slice(0, pageSize));
+            adjustTotal(1);
+            notify({ message: `${optimistic.fullName} added` });
+            syncAfterWrite();
         } catch (err) {
-            setError(err.message);
+            updateItems((prev) => prev.filter((user) => user.id !== tempId));
+            notify({ tone: "error", message: `Could not add ${optimistic.fullName}: ${err.message}` });
         } finally {
-            setLoading(false);
+            setSaving(tempId, false);
         }
     };
 
-    fetchUsers();
-}, [page]);
+    const handleEdit = async (user, values) => {
+        setEditingId(null);
+        const changes = changedFields(user, values);
+        if (Object.keys(changes).length === 0) return;
+
+        // Roll back only these fields, so other changes made meanwhile survive
+        const previous = Object.fromEntries(Object.keys(changes).map((name) => [name, user[name]]));
+        const apply = (fields) => updateItems((prev) =>
+            prev.map((item) => (item.id === user.id ? withFullName({ ...item, ...fields }) : item))
+        );
+
+        apply(changes);
+        setSaving(user.id, true);
+        try {
+            const saved = await usersService.patch(user.id, changes);
+            // Keep what the server echoed for the changed fields
+            apply(Object.fromEntries(Object.keys(changes).map((name) => [name, saved[name] ?? changes[name]])));
+            notify({ message: `${withFullName({ ...user, ...changes }).fullName} updated` });
+            syncAfterWrite();
+        } catch (err) {
+            apply(previous);
+            notify({ tone: "error", message: `Could not update ${user.fullName}: ${err.message}` });
+        } finally {
+            setSaving(user.id, false);
+        }
+    };
+
+    const commitDelete = useCallback(async (user) => {
+        const pending = pendingDeletesRef.current.get(user.id);
+        if (!pending) return;
+        pendingDeletesRef.current.delete(user.id);
+        dismissToast(pending.toastId);
+
+        try {
+            await usersService.remove(user.id);
+            deletedIdsRef.current.add(user.id);
+            updateItems((prev) => prev.filter((item) => item.id !== user.id));
+            adjustTotal(-1);
+            setHiddenIds((prev) => prev.filter((id) => id !== user.id));
+            syncAfterDelete();
+        } catch (err) {
+            setHiddenIds((prev) => prev.filter((id) => id !== user.id));
+            notify({ tone: "error", message: `Could not delete ${user.fullName}: ${err.message}` });
+        }
+    }, [dismissToast, notify, syncAfterDelete, updateItems, adjustTotal]);
+
+    const undoDelete = useCallback((user) => {
+        const pending = pendingDeletesRef.current.get(user.id);
+        if (!pending) return;
+        pendingDeletesRef.current.delete(user.id);
+        clearTimeout(pending.timer);
+        dismissToast(pending.toastId);
+        setHiddenIds((prev) => prev.filter((id) => id !== user.id));
+    }, [dismissToast]);
+
+    const handleDelete = (user) => {
+        setConfirmingId(null);
+        setHiddenIds((prev) => [...prev, user.id]);
+
+        const toastId = notify({
+            message: `${user.fullName} deleted`,
+            action: { label: "Undo", onClick: () => undoDelete(user) },
+            duration: UNDO_WINDOW,
+        });
+        const timer = setTimeout(() => commitDelete(user), UNDO_WINDOW);
+        pendingDeletesRef.current.set(user.id, { timer, toastId });
+    };
+
+    // Leaving the page confirms pending deletes instead of dropping them
+    useEffect(() => {
+        const pendingDeletes = pendingDeletesRef.current;
+        const toastTimers = toastTimersRef.current;
+        return () => {
+            pendingDeletes.forEach(({ timer }, id) => {
+                clearTimeout(timer);
+                usersService.remove(id).catch(() => {
+                    // Nothing left on screen to roll back
+                });
+            });
+            pendingDeletes.clear();
+            toastTimers.forEach((timer) => clearTimeout(timer));
+        };
+    }, []);
+
+    // A delete can empty the last page; move back to the new last page
+    useEffect(() => {
+        if (!loading && !error && totalPages > 0 && page > totalPages) {
+            setUrlState({ page: totalPages }, { history: "replace" });
+        }
+    }, [loading, error, page, totalPages, setUrlState]);
+
+    const visibleUsers = users.filter((user) => !hiddenIds.includes(user.id));
 
     return (
         <div className="min-h-screen bg-gray-100 p-6">
@@ -47,80 +251,156 @@ export default function UserPagination() {
                 User Pagination (ReqRes API)
             </h2>
 
+            <div className="max-w-md mx-auto mb-6">
+                {adding ? (
+                    <div className="bg-white rounded-lg shadow p-4">
+                        <h3 className="text-lg font-semibold mb-3">New user</h3>
+                        <UserForm
+                            submitLabel="Add user"
+                            onSubmit={handleCreate}
+                            onCancel={() => setAdding(false)}
+                        />
+                    </div>
+                ) : (
+                    <div className="text-center">
+                        <button
+                            type="button"
+                            onClick={() => setAdding(true)}
+                            className="px-4 py-2 rounded bg-blue-600 text-white"
+                        >
+                            Add user
+                        </button>
+                    </div>
+                )}
+            </div>
+
             {loading && (
                 <p className="text-center text-blue-600">
-                    Loading users...
+                    {retry
+                        ? `Retrying (${retry.attempt}/${retry.maxAttempts})…`
+                        : queued ? "Waiting for the API…" : "Loading users..."}
                 </p>
             )}
 
             {error && (
-                <p className="text-center text-red-600">
-                    {error}
-                </p>
+                <ErrorNotice error={error} onRetry={retryFailed} className="max-w-md mx-auto text-center" />
             )}
 
-            {!loading && !error && (
-                <>
-                    <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-6">
-                        {users.map((user) => (
+            {!loading && !error && visibleUsers.length === 0 && (
+                <p className="text-center text-gray-600">No users on this page.</p>
+            )}
+
+            {!error && visibleUsers.length > 0 && (
+                <div
+                    aria-busy={loading}
+                    className={`grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-6 ${loading ? "opacity-60" : ""}`}
+                >
+                    {visibleUsers.map((user) => {
+                        const saving = savingIds.includes(user.id) || isUnsaved(user);
+
+                        if (editingId === user.id) {
+                            return (
+                                <div key={user.id} className="bg-white rounded-lg shadow p-4">
+                                    <UserForm
+                                        initialValues={user}
+                                        onSubmit={(values) => handleEdit(user, values)}
+                                        onCancel={() => setEditingId(null)}
+                                    />
+                                </div>
+                            );
+                        }
+
+                        return (
                             <div
                                 key={user.id}
                                 className="bg-white rounded-lg shadow p-4 text-center"
                             >
-                                <img
-                                    src={user.avatar}
-                                    alt={user.first_name}
-                                    className="w-24 h-24 mx-auto rounded-full mb-3"
-                                />
+                                {user.avatar ? (
+                                    <img
+                                        src={user.avatar}
+                                        alt={user.fullName}
+                                        className="w-24 h-24 mx-auto rounded-full mb-3"
+                                    />
+                                ) : (
+                                    <div
+                                        aria-hidden="true"
+                                        className="w-24 h-24 mx-auto rounded-full mb-3 bg-blue-600 text-white text-2xl flex items-center justify-center"
+                                    >
+                                        {user.firstName?.[0]}{user.lastName?.[0]}
+                                    </div>
+                                )}
                                 <h3 className="text-lg font-semibold">
-                                    {user.first_name} {user.last_name}
+                                    {user.fullName}
                                 </h3>
                                 <p className="text-sm text-gray-600">
                                     {user.email}
                                 </p>
-                            </div>
-                        ))}
-                    </div>
 
-                    {/* Pagination Controls */}
-                    <div className="flex justify-center items-center gap-2 mt-8">
-                        <button
-                            onClick={() => setPage((p) => Math.max(1, p - 1))}
-                            disabled={page === 1}
-                            className="px-4 py-2 bg-gray-300 rounded disabled:opacity-50"
-                        >
-                            Previous
-                        </button>
+                                {saving && (
+                                    <p className="text-xs text-gray-500 mt-2">Saving…</p>
+                                )}
 
-                        {[...Array(totalPages)].map((_, index) => {
-                            const pageNum = index + 1;
-                            return (
-                                <button
-                                    key={pageNum}
-                                    onClick={() => setPage(pageNum)}
-                                    className={`px-4 py-2 rounded ${
-                                        page === pageNum
-                                            ? "bg-blue-600 text-white"
-                                            : "bg-gray-200"
-                                    }`}
-                                >
-                                    {pageNum}
-                                </button>
-                            );
-                        })}
-
-                        <button
-                            onClick={() =>
-                                setPage((p) => Math.min(totalPages, p + 1))
-                            }
-                            disabled={page === totalPages}
-                            className="px-4 py-2 bg-gray-300 rounded disabled:opacity-50"
-                        >
-                            Next
-                        </button>
-                    </div>
-                </>
+                                {confirmingId === user.id ? (
+                                    <div className="mt-3 text-sm">
+                                        <p className="mb-2">Delete {user.fullName}?</p>
+                                        <div className="flex justify-center gap-2">
+                                            <button
+                                                type="button"
+                                                onClick={() => handleDelete(user)}
+                                                className="px-3 py-1 rounded bg-red-600 text-white"
+                                            >
+                                                Delete
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => setConfirmingId(null)}
+                                                className="px-3 py-1 rounded border border-gray-300"
+                                            >
+                                                Cancel
+                                            </button>
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div className="mt-3 flex justify-center gap-2 text-sm">
+                                        <button
+                                            type="button"
+                                            onClick={() => setEditingId(user.id)}
+                                            disabled={saving}
+                                            aria-label={`Edit ${user.fullName}`}
+                                            className="px-3 py-1 rounded border border-gray-300 disabled:opacity-50"
+                                        >
+                                            Edit
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => setConfirmingId(user.id)}
+                                            disabled={saving}
+                                            aria-label={`Delete ${user.fullName}`}
+                                            className="px-3 py-1 rounded border border-red-300 text-red-600 disabled:opacity-50"
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
             )}
+
+            <Pagination
+                page={page}
+                totalPages={totalPages}
+                totalItems={total}
+                pageSize={pageSize}
+                pageSizeOptions={PAGE_SIZE_OPTIONS}
+                onPageChange={goToPage}
+                onPageSizeChange={setPageSize}
+                onPageIntent={prefetchPage}
+                label="User pages"
+            />
+
+            <Toasts toasts={toasts} onDismiss={dismissToast} />
         </div>
     );
 }
@@ -1,9 +1,13 @@
 import rahulLogo from '../assets/RahulLogo.png'
 import rahulPhotograph from '../assets/RahulPro.png'
+import AccountBar from './AccountBar.jsx'
 
 export default function Header() {
     return (
         <header className="bg-gradient-to-r from-blue-700 via-blue-600 to-indigo-700 text-white">
+            <div className="max-w-7xl mx-auto px-6 pt-4">
+                <AccountBar />
+            </div>
             <div className="max-w-7xl mx-auto px-6 py-14 text-center">
                 
                 <div className="mb-6 flex justify-center">
@@ -0,0 +1,36 @@
+/*
+  Page window for the Pagination control: always shows the first and last
+  page, `siblings` pages around the current one, and an ellipsis for every
+  gap, e.g. 1 … 4 5 6 … 40.
+*/
+
+export const START_ELLIPSIS = 'start-ellipsis';
+export const END_ELLIPSIS = 'end-ellipsis';
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, index) => from + index);
+
+/**
+ * @param {number} current - Current page (1-based)
+ * @param {number} total - Number of pages
+ * @param {number} [siblings] - Pages shown on each side of the current one
+ * @returns {Array<number|string>} Page numbers and ellipsis markers
+ */
+export const getPageWindow = (current, total, siblings = 1) => {
+    // first + last + current + siblings + two ellipses
+    const slots = siblings * 2 + 5;
+    if (total <= slots) return range(1, total);
+
+    const left = Math.max(current - siblings, 1);
+    const right = Math.min(current + siblings, total);
+    const showStartEllipsis = left > 3;
+    const showEndEllipsis = right < total - 2;
+    const edgeCount = 3 + siblings * 2;
+
+    if (!showStartEllipsis) {
+        return [...range(1, edgeCount), END_ELLIPSIS, total];
+    }
+    if (!showEndEllipsis) {
+        return [1, START_ELLIPSIS, ...range(total - edgeCount + 1, total)];
+    }
+    return [1, START_ELLIPSIS, ...range(left, right), END_ELLIPSIS, total];
+};
@@ -0,0 +1,125 @@
+/*
+  Product facets for LiveSearchAPI
+
+  Sorting always happens on the server (dummyjson `sortBy` / `order`).
+  The search endpoint cannot combine `q` with a category, so with a
+  query the category is applied to the full match list before paging
+  (searchProductsInCategory in productService.js) and totals stay right;
+  brand, price and rating are filtered here, on the results that came
+  back.
+
+  Filter values use "empty" defaults so they stay out of the URL:
+  category '' / brands [] / minPrice 0 / maxPrice 0 / rating 0 mean
+  "no filter".
+*/
+
+export const FILTER_DEFAULTS = {
+    category: '',
+    brands: [],
+    minPrice: 0,
+    maxPrice: 0,
+    rating: 0,
+    sort: '',
+};
+
+export const SORT_OPTIONS = [
+    { value: '', label: 'Relevance' },
+    { value: 'price-asc', label: 'Price: low to high' },
+    { value: 'price-desc', label: 'Price: high to low' },
+    { value: 'rating-desc', label: 'Rating: high to low' },
+    { value: 'rating-asc', label: 'Rating: low to high' },
+    { value: 'title-asc', label: 'Title: A to Z' },
+    { value: 'title-desc', label: 'Title: Z to A' },
+];
+
+export const RATING_OPTIONS = [4, 3, 2];
+
+const NO_BRAND = 'Unbranded';
+
+const brandOf = (product) => product.brand || NO_BRAND;
+
+/**
+ * Server-side sort params for a sort option value
+ * @param {string} sort - e.g. 'price-desc'
+ * @returns {{ sortBy: string, order: string } | {}}
+ */
+export const getSortParams = (sort) => {
+    if (!sort) return {};
+    const [sortBy, order] = sort.split('-');
+    return { sortBy, order };
+};
+
+/**
+ * Brand and price facets for a result set
+ * @param {object[]} products
+ * @returns {{ brands: Array<{ name: string, count: number }>, priceRange: { min: number, max: number } | null }}
+ */
+export const getFacets = (products) => {
+    const counts = new Map();
+    products.forEach((product) => {
+        const brand = brandOf(product);
+        counts.set(brand, (counts.get(brand) ?? 0) + 1);
+    });
+
+    const brands = [...counts]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    // price is optional in the product schema; leave products without one out
+    const prices = products.map((product) => product.price).filter(Number.isFinite);
+    if (prices.length === 0) return { brands, priceRange: null };
+
+    return {
+        brands,
+        priceRange: { min: Math.floor(Math.min(...prices)), max: Math.ceil(Math.max(...prices)) },
+    };
+};
+
+/**
+ * Apply the client-side filters (brand, price, rating)
+ * @param {object[]} products
+ * @param {object} filters
+ */
+export const applyFilters = (products, { brands, minPrice, maxPrice, rating }) =>
+    products.filter((product) =>
+        (brands.length === 0 || brands.includes(brandOf(product)))
+        && (!minPrice || product.price >= minPrice)
+        && (!maxPrice || product.price <= maxPrice)
+        && (!rating || product.rating >= rating)
+    );
+
+/**
+ * One removable chip per active filter
+ * @param {object} filters
+ * @param {Array<{ slug: string, name: string }>} categories
+ * @returns {Array<{ key: string, label: string, remove: object }>} `remove` is the patch that clears it
+ */
+export const getFilterChips = (filters, categories = []) => {
+    const chips = [];
+
+    if (filters.category) {
+        const name = categories.find((category) => category.slug === filters.category)?.name ?? filters.category;
+        chips.push({ key: 'category', label: `Category: ${name}`, remove: { category: '' } });
+    }
+
+    filters.brands.forEach((brand) => {
+        chips.push({
+            key: `brand-${brand}`,
+            label: `Brand: ${brand}`,
+            remove: { brands: filters.brands.filter((item) => item !== brand) },
+        });
+    });
+
+    if (filters.minPrice || filters.maxPrice) {
+        const label = filters.minPrice && filters.maxPrice
+            ? `$${filters.minPrice} – $${filters.maxPrice}`
+            : filters.minPrice ? `From $${filters.minPrice}` : `Up to $${filters.maxPrice}`;
+        chips.push({ key: 'price', label: `Price: ${label}`, remove: { minPrice: 0, maxPrice: 0 } });
+    }
+
+    if (filters.rating) {
+        chips.push({ key: 'rating', label: `Rating: ${filters.rating}★ & up`, remove: { rating: 0 } });
+    }
+
+    return chips;
+};
@@ -0,0 +1,56 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+/*
+  useIntersectionSentinel
+
+  Calls `onIntersect` whenever a sentinel element comes within
+  `rootMargin` of the visible area, using IntersectionObserver instead of
+  scroll events. Works with the window or any scroll container
+  (`rootRef`).
+
+  The observer is rebuilt whenever `enabled` flips back on, and a new
+  observer always reports the current state once, so a sentinel that is
+  still visible after a page has loaded triggers the next load right away.
+
+    const sentinelRef = useIntersectionSentinel(loadMore, { enabled: !loading && hasMore });
+    <div ref={sentinelRef} />
+*/
+
+/**
+ * @param {function} onIntersect - Called when the sentinel becomes visible
+ * @param {object} options
+ * @param {object} [options.rootRef] - Ref to the scroll container (default: viewport)
+ * @param {string} [options.rootMargin] - How early to trigger, e.g. '200px'
+ * @param {boolean} [options.enabled] - Pause observing (while loading, when done...)
+ * @returns {function} Callback ref for the sentinel element
+ */
+export function useIntersectionSentinel(onIntersect, {
+    rootRef = null,
+    rootMargin = '200px',
+    enabled = true,
+} = {}) {
+    const [node, setNode] = useState(null);
+    const onIntersectRef = useRef(onIntersect);
+
+    useLayoutEffect(() => {
+        onIntersectRef.current = onIntersect;
+    });
+
+    useEffect(() => {
+        if (!node || !enabled) return;
+
+        const observer = new IntersectionObserver(
+            (entries) => {
+                if (entries.some((entry) => entry.isIntersecting)) {
+                    onIntersectRef.current();
+                }
+            },
+            { root: rootRef?.current ?? null, rootMargin }
+        );
+        observer.observe(node);
+
+        return () => observer.disconnect();
+    }, [node, enabled, rootRef, rootMargin]);
+
+    return setNode;
+}
@@ -0,0 +1,389 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { isAbortError, toApiError } from '../api/apiError';
+
+/*
+  usePaginatedQuery
+
+  Owns the page / loading / error / total state machine that every list in
+  this project used to re-implement by hand. The backend dialect is
+  described by an adapter from src/api/paginationAdapters.js.
+
+  - `fetcher(params, { signal, onRetry })` must resolve to an axios-style
+    response ({ data, headers }). Define it outside the component (or
+    memoize it) so it does not change on every render. Forward `onRetry`
+    to the axios config to get `retry` ({ attempt, maxAttempts }) while a
+    page is being retried. Likewise forward `onQueueChange` to get
+    `queued` (true while the page request waits in the client's request
+    queue, see src/api/requestQueue.js) instead of plain `loading`.
+  - mode 'replace' shows one page at a time (numbered pagination).
+  - mode 'append' accumulates pages (load more / infinite scrolling).
+    Loading starts at `initialPage`; `nextPage` appends newer pages and
+    `loadPrevious` prepends older ones, so a restored session can start
+    at page N instead of reloading from page 1. Prepends run alongside
+    appends and get `{ previous: true }`: give them their own cancelKey
+    so the two do not abort each other.
+  - Pass `page` + `onPageChange` to control the page from outside (for
+    example from the URL with useUrlState). Likewise `pageSize` +
+    `onPageSizeChange`; the caller then resets the page itself.
+  - Prefetching: once the browser is idle after a page has loaded, the
+    next and previous pages are fetched in the background, and
+    `prefetchPage(n)` preloads a page on hover / focus. The fetcher gets
+    `{ signal, prefetch: true }` for these; forward `prefetch` to the
+    axios config so they skip latest-wins cancellation and retries. The
+    responses land in the shared response cache, so the real request is
+    served from there (or joins the prefetch while it is in flight).
+    Turn it off per list with `prefetch: false`; it is skipped
+    automatically on save-data and 2g connections.
+  - `error` is an ApiError (src/api/apiError.js: kind, status, message,
+    retryable) or null. `retryFailed()` repeats only the request that
+    failed: the current page, or in append mode the page being appended
+    or prepended, so the list carries on where it stopped.
+  - `updateItems(updater)` changes the loaded items locally (optimistic
+    updates); call `reload()` afterwards to get the server's version. In
+    append mode `reload()` fetches every loaded page again, from
+    `firstPage` to `page`, and replaces the items with them.
+    `adjustTotal(delta)` shifts `total` (and `totalPages`) by the items
+    added or removed locally, until the next page load brings the
+    server's count.
+*/
+
+const SLOW_CONNECTIONS = ['slow-2g', '2g'];
+
+// Network Information API (Chromium only); assume a good connection elsewhere
+const isConstrainedConnection = () => {
+    const connection = typeof navigator === 'undefined' ? null : navigator.connection;
+    if (!connection) return false;
+    return Boolean(connection.saveData) || SLOW_CONNECTIONS.includes(connection.effectiveType);
+};
+
+const whenIdle = (callback) => {
+    if (typeof window.requestIdleCallback === 'function') {
+        const handle = window.requestIdleCallback(callback, { timeout: 2000 });
+        return () => window.cancelIdleCallback(handle);
+    }
+    const timer = setTimeout(callback, 200);
+    return () => clearTimeout(timer);
+};
+
+/**
+ * @param {function} fetcher - (params, { signal, onRetry, onQueueChange, prefetch, previous }) => Promise<{ data, headers }>
+ * @param {object} adapter - Pagination adapter
+ * @param {object} options
+ * @param {number} [options.initialPage] - First page to load ("start at page N")
+ * @param {number} [options.pageSize] - Items per page (initial value unless controlled)
+ * @param {'replace'|'append'} [options.mode] - Show one page or accumulate pages
+ * @param {boolean} [options.enabled] - Set to false to hold off fetching
+ * @param {number} [options.page] - Controlled current page
+ * @param {function} [options.onPageChange] - Called instead of updating internal page state
+ * @param {function} [options.onPageSizeChange] - Makes `pageSize` controlled
+ * @param {boolean} [options.prefetch] - Prefetch adjacent pages and allow prefetchPage (default true)
+ */
+export function usePaginatedQuery(fetcher, adapter, {
+    initialPage = 1,
+    pageSize: pageSizeOption = 10,
+    mode = 'replace',
+    enabled = true,
+    page: controlledPage,
+    onPageChange,
+    onPageSizeChange,
+    prefetch = true,
+} = {}) {
+    const [internalPage, setInternalPage] = useState(initialPage);
+    const page = controlledPage ?? internalPage;
+    const [internalPageSize, setInternalPageSize] = useState(pageSizeOption);
+    const pageSize = onPageSizeChange ? pageSizeOption : internalPageSize;
+    const [items, setItems] = useState([]);
+    const [total, setTotal] = useState(null);
+    const [totalPages, setTotalPages] = useState(null);
+    const [hasMore, setHasMore] = useState(true);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [retry, setRetry] = useState(null);
+    const [queued, setQueued] = useState(false);
+    const [reloadToken, setReloadToken] = useState(0);
+    // Items added (+) or removed (-) locally since the last load
+    const [totalAdjustment, setTotalAdjustment] = useState(0);
+
+    // Append mode: lowest page loaded so far, and the older page being prepended
+    const [firstPage, setFirstPage] = useState(initialPage);
+    const [previousRequest, setPreviousRequest] = useState(null);
+    const [loadingPrevious, setLoadingPrevious] = useState(false);
+    const [failedPrevious, setFailedPrevious] = useState(null);
+
+    // Cursor adapters: cursor to send for each page number (page 1 has none)
+    const cursorsRef = useRef(new Map());
+
+    // Background prefetches still running, aborted on unmount
+    const prefetchControllersRef = useRef(new Set());
+
+    // Append mode: first page to fetch again on the next load (set by reload)
+    const reloadFromRef = useRef(null);
+
+    const setPage = useCallback((update) => {
+        const nextPage = typeof update === 'function' ? update(page) : update;
+        if (nextPage === page) return;
+        if (onPageChange) {
+            onPageChange(nextPage);
+        } else {
+            setInternalPage(nextPage);
+        }
+    }, [page, onPageChange]);
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        const controller = new AbortController();
+        const reloadFrom = mode === 'append' ? reloadFromRef.current : null;
+
+        const load = async () => {
+            setLoading(true);
+            setError(null);
+            setFailedPrevious(null);
+            setRetry(null);
+            setQueued(false);
+
+            const onRetry = ({ attempt, maxAttempts }) => {
+                if (!controller.signal.aborted) {
+                    setRetry({ attempt, maxAttempts });
+                }
+            };
+
+            const onQueueChange = ({ state }) => {
+                if (!controller.signal.aborted) {
+                    setQueued(state === 'queued');
+                }
+            };
+
+            const loadPage = async (pageNumber) => {
+                const request = { page: pageNumber, pageSize, cursor: cursorsRef.current.get(pageNumber) ?? null };
+                const response = await fetcher(adapter.getParams(request), { signal: controller.signal, onRetry, onQueueChange });
+                const result = adapter.parse(response, request);
+                if (result.nextCursor != null) {
+                    cursorsRef.current.set(pageNumber + 1, result.nextCursor);
+                }
+                return result;
+            };
+
+            try {
+                // A reload in append mode replaces every loaded page, so the
+                // current one is not appended a second time
+                const reloaded = [];
+                for (let pageNumber = reloadFrom ?? page; pageNumber < page; pageNumber += 1) {
+                    reloaded.push(...(await loadPage(pageNumber)).items);
+                }
+                const result = await loadPage(page);
+                if (controller.signal.aborted) return;
+
+                if (reloadFromRef.current === reloadFrom) reloadFromRef.current = null;
+                setItems((prevItems) => {
+                    if (reloadFrom != null) return [...reloaded, ...result.items];
+                    return mode === 'append' && page !== initialPage
+                        ? [...prevItems, ...result.items]
+                        : result.items;
+                });
+                setTotal(result.total);
+                setTotalPages(result.totalPages);
+                setTotalAdjustment(0);
+                setHasMore(result.hasMore);
+            } catch (err) {
+                if (!isAbortError(err) && !controller.signal.aborted) {
+                    setError(toApiError(err));
+                }
+            } finally {
+                if (!controller.signal.aborted) {
+                    setLoading(false);
+                    setRetry(null);
+                    setQueued(false);
+                }
+            }
+        };
+
+        load();
+
+        return () => controller.abort();
+    }, [fetcher, adapter, page, pageSize, mode, initialPage, enabled, reloadToken]);
+
+    // Append mode: prepend an older page
+    useEffect(() => {
+        if (previousRequest == null) return;
+
+        const controller = new AbortController();
+
+        const load = async () => {
+            setLoadingPrevious(true);
+            setError(null);
+            setFailedPrevious(null);
+
+            try {
+                const request = { page: previousRequest, pageSize, cursor: null };
+                const response = await fetcher(adapter.getParams(request), { signal: controller.signal, previous: true });
+                if (controller.signal.aborted) return;
+
+                const result = adapter.parse(response, request);
+                setItems((prevItems) => [...result.items, ...prevItems]);
+                setFirstPage(previousRequest);
+                setTotal(result.total);
+                setTotalPages(result.totalPages);
+                setTotalAdjustment(0);
+            } catch (err) {
+                if (!isAbortError(err) && !controller.signal.aborted) {
+                    setError(toApiError(err));
+                    setFailedPrevious(previousRequest);
+                }
+            } finally {
+                if (!controller.signal.aborted) {
+                    setLoadingPrevious(false);
+                    setPreviousRequest(null);
+                }
+            }
+        };
+
+        load();
+
+        return () => controller.abort();
+    }, [fetcher, adapter, pageSize, previousRequest]);
+
+    const canVisit = useCallback((pageNumber) => {
+        if (pageNumber < 1) return false;
+        if (totalPages != null && pageNumber > totalPages) return false;
+        if (adapter.cursorBased && pageNumber > 1 && !cursorsRef.current.has(pageNumber)) return false;
+        return true;
+    }, [adapter, totalPages]);
+
+    const prefetchPage = useCallback((pageNumber) => {
+        if (!prefetch || !enabled || isConstrainedConnection()) return;
+        if (pageNumber === page || !canVisit(pageNumber)) return;
+
+        const controller = new AbortController();
+        const controllers = prefetchControllersRef.current;
+        controllers.add(controller);
+
+        const request = { page: pageNumber, pageSize, cursor: cursorsRef.current.get(pageNumber) ?? null };
+        fetcher(adapter.getParams(request), { signal: controller.signal, prefetch: true })
+            .catch(() => {
+                // A failed prefetch is retried for real when the page is opened
+            })
+            .finally(() => controllers.delete(controller));
+    }, [prefetch, enabled, page, canVisit, pageSize, fetcher, adapter]);
+
+    // Prefetch the neighbours of a page once it has loaded and the browser is idle
+    useEffect(() => {
+        if (loading || error) return;
+
+        return whenIdle(() => {
+            prefetchPage(page + 1);
+            if (mode === 'replace') prefetchPage(page - 1);
+        });
+    }, [loading, error, page, mode, prefetchPage]);
+
+    // Prefetches outlive page changes (the real request may have joined
+    // one of them) but not the list itself
+    useEffect(() => {
+        const controllers = prefetchControllersRef.current;
+        return () => {
+            controllers.forEach((controller) => controller.abort());
+            controllers.clear();
+        };
+    }, []);
+
+    const goToPage = useCallback((pageNumber) => {
+        if (canVisit(pageNumber)) {
+            setPage(pageNumber);
+        }
+    }, [canVisit, setPage]);
+
+    const nextPage = useCallback(() => {
+        if (!loading && hasMore) {
+            setPage((prevPage) => prevPage + 1);
+        }
+    }, [loading, hasMore, setPage]);
+
+    const previousPage = useCallback(() => {
+        setPage((prevPage) => Math.max(1, prevPage - 1));
+    }, [setPage]);
+
+    const hasPrevious = mode === 'append' ? firstPage > 1 && !adapter.cursorBased : page > 1;
+
+    const loadPrevious = useCallback(() => {
+        if (mode === 'append' && hasPrevious && !loadingPrevious && previousRequest == null) {
+            setPreviousRequest(firstPage - 1);
+        }
+    }, [mode, hasPrevious, loadingPrevious, previousRequest, firstPage]);
+
+    const reset = useCallback(() => {
+        cursorsRef.current = new Map();
+        reloadFromRef.current = null;
+        setFirstPage(initialPage);
+        setPreviousRequest(null);
+        setFailedPrevious(null);
+        setPage(initialPage);
+        setReloadToken((token) => token + 1);
+    }, [initialPage, setPage]);
+
+    const setPageSize = useCallback((size) => {
+        cursorsRef.current = new Map();
+        reloadFromRef.current = null;
+        setFirstPage(initialPage);
+        setPreviousRequest(null);
+        setFailedPrevious(null);
+        if (onPageSizeChange) {
+            onPageSizeChange(size);
+            return;
+        }
+        setInternalPageSize(size);
+        setPage(initialPage);
+    }, [initialPage, setPage, onPageSizeChange]);
+
+    const reload = useCallback(() => {
+        if (mode === 'append') reloadFromRef.current = firstPage;
+        setReloadToken((token) => token + 1);
+    }, [mode, firstPage]);
+
+    const retryFailed = useCallback(() => {
+        if (failedPrevious != null) {
+            setPreviousRequest(failedPrevious);
+            return;
+        }
+        setReloadToken((token) => token + 1);
+    }, [failedPrevious]);
+
+    const updateItems = useCallback((updater) => {
+        setItems((prevItems) => updater(prevItems));
+    }, []);
+
+    const adjustTotal = useCallback((delta) => {
+        setTotalAdjustment((adjustment) => adjustment + delta);
+    }, []);
+
+    const adjustedTotal = total == null ? null : Math.max(0, total + totalAdjustment);
+    const adjustedTotalPages = adjustedTotal == null || totalAdjustment === 0 || totalPages == null
+        ? totalPages
+        : Math.ceil(adjustedTotal / pageSize);
+
+    return {
+        items,
+        page,
+        pageSize,
+        total: adjustedTotal,
+        totalPages: adjustedTotalPages,
+        hasMore,
+        hasPrevious,
+        firstPage,
+        loading,
+        loadingPrevious,
+        error,
+        retry,
+        queued,
+        goToPage,
+        nextPage,
+        previousPage,
+        loadPrevious,
+        prefetchPage,
+        setPageSize,
+        reload,
+        retryFailed,
+        reset,
+        updateItems,
+        adjustTotal,
+    };
+}
@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useState } from 'react';
+
+/*
+  useRecentSearches
+
+  A short most-recent-first list of search terms kept in localStorage, so
+  it survives reloads. Terms are compared case-insensitively; adding one
+  that is already in the list moves it to the top.
+
+    const { recent, addRecent, removeRecent, clearRecent } =
+        useRecentSearches('products.recentSearches');
+*/
+
+const DEFAULT_LIMIT = 8;
+
+const readList = (storageKey) => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(storageKey));
+        return Array.isArray(stored) ? stored.filter((item) => typeof item === 'string') : [];
+    } catch {
+        return [];
+    }
+};
+
+const writeList = (storageKey, list) => {
+    try {
+        if (list.length === 0) {
+            window.localStorage.removeItem(storageKey);
+        } else {
+            window.localStorage.setItem(storageKey, JSON.stringify(list));
+        }
+    } catch {
+        // Storage full or blocked (private mode): keep the in-memory list
+    }
+};
+
+/**
+ * @param {string} storageKey - localStorage key
+ * @param {object} options
+ * @param {number} [options.limit] - Maximum number of terms kept
+ * @returns {object} recent, addRecent, removeRecent, clearRecent
+ */
+export function useRecentSearches(storageKey, { limit = DEFAULT_LIMIT } = {}) {
+    const [recent, setRecent] = useState(() => readList(storageKey));
+
+    // Persisted here rather than in the state updater, which must stay pure
+    useEffect(() => {
+        writeList(storageKey, recent);
+    }, [storageKey, recent]);
+
+    const update = useCallback((change) => {
+        setRecent(change);
+    }, []);
+
+    const addRecent = useCallback((term) => {
+        const trimmed = term.trim();
+        if (!trimmed) return;
+        update((previous) => [
+            trimmed,
+            ...previous.filter((item) => item.toLowerCase() !== trimmed.toLowerCase()),
+        ].slice(0, limit));
+    }, [update, limit]);
+
+    const removeRecent = useCallback((term) => {
+        update((previous) => previous.filter((item) => item !== term));
+    }, [update]);
+
+    const clearRecent = useCallback(() => {
+        update(() => []);
+    }, [update]);
+
+    return { recent, addRecent, removeRecent, clearRecent };
+}
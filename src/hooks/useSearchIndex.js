@@ -0,0 +1,162 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createSearchIndex, getPath, searchIndex } from '../search/searchEngine';
+
+/*
+  useSearchIndex
+
+  Searches a list of items with the engine in src/search (fuzzy, ranked,
+  field-scoped). The index lives in a Web Worker (search.worker.js) so
+  building and querying tens of thousands of records never blocks the
+  UI:
+
+    const { results, searching, progress } =
+        useSearchIndex(users, USER_SEARCH_FIELDS, query);
+
+  - Data changes are sent to the worker as a diff by id: new or changed
+    items (by reference) are re-indexed, missing ones removed.
+  - A new query cancels the one still running; `searching` is true until
+    the results for the current query and data have arrived (the previous
+    results stay on screen meanwhile).
+  - `progress` ({ indexed, total }) is set while the index is being built.
+  - Without Worker support, or if the worker fails, the same search runs
+    on the main thread.
+
+  `fields` should be a module-level constant; changing it rebuilds the
+  index from scratch.
+*/
+
+const WORKERS_SUPPORTED = typeof Worker !== 'undefined';
+
+/**
+ * @param {object[]} items
+ * @param {Array<{ name: string, path: string, weight?: number }>} fields
+ * @param {string} query
+ * @param {object} options
+ * @param {string} [options.idKey] - Property path of each item's unique id
+ * @param {boolean} [options.useWorker] - Set to false to always search on the main thread
+ * @returns {object} results ([{ item, score, fields, matches }]), searching, progress, usingWorker
+ */
+export function useSearchIndex(items, fields, query, { idKey = 'id', useWorker = true } = {}) {
+    const [workerFailed, setWorkerFailed] = useState(false);
+    const usingWorker = useWorker && WORKERS_SUPPORTED && !workerFailed;
+
+    const [progress, setProgress] = useState(null);
+    const [indexVersion, setIndexVersion] = useState(0);
+    const [resultState, setResultState] = useState({ query: null, version: -1, results: [] });
+
+    const workerRef = useRef(null);
+    const sentItemsRef = useRef(new Map());
+    const queryIdRef = useRef(0);
+    const pendingQueryRef = useRef(null);
+
+    // Start the worker
+    useEffect(() => {
+        if (!usingWorker) return;
+
+        let worker;
+        try {
+            worker = new Worker(new URL('../search/search.worker.js', import.meta.url), { type: 'module' });
+        } catch {
+            // Blocked (e.g. by a content security policy): search on the main thread
+            queueMicrotask(() => setWorkerFailed(true));
+            return;
+        }
+
+        worker.onmessage = ({ data }) => {
+            switch (data.type) {
+                case 'progress':
+                    setProgress({ indexed: data.indexed, total: data.total });
+                    break;
+                case 'ready':
+                    setProgress(null);
+                    setIndexVersion((version) => version + 1);
+                    break;
+                case 'results':
+                    if (data.id === pendingQueryRef.current?.id) {
+                        const { query: forQuery, version } = pendingQueryRef.current;
+                        pendingQueryRef.current = null;
+                        setResultState({ query: forQuery, version, results: data.results });
+                    }
+                    break;
+                case 'error':
+                    setWorkerFailed(true);
+                    break;
+                default:
+            }
+        };
+        worker.onerror = () => setWorkerFailed(true);
+
+        worker.postMessage({ type: 'configure', fields, idKey });
+        workerRef.current = worker;
+        sentItemsRef.current = new Map();
+
+        return () => {
+            worker.terminate();
+            workerRef.current = null;
+            pendingQueryRef.current = null;
+        };
+    }, [usingWorker, fields, idKey]);
+
+    // Send data changes as a diff
+    useEffect(() => {
+        const worker = workerRef.current;
+        if (!usingWorker || !worker) return;
+
+        const sent = sentItemsRef.current;
+        const next = new Map(items.map((item) => [getPath(item, idKey), item]));
+
+        const removed = [...sent.keys()].filter((id) => !next.has(id));
+        const changed = items.filter((item) => sent.get(getPath(item, idKey)) !== item);
+
+        if (removed.length > 0) worker.postMessage({ type: 'remove', ids: removed });
+        if (changed.length > 0) worker.postMessage({ type: 'upsert', items: changed });
+        sentItemsRef.current = next;
+    }, [items, usingWorker, fields, idKey]);
+
+    // Query (again) whenever the text or the index changes; newer queries cancel older ones
+    useEffect(() => {
+        const worker = workerRef.current;
+        if (!usingWorker || !worker) return;
+
+        if (pendingQueryRef.current) {
+            worker.postMessage({ type: 'cancel', id: pendingQueryRef.current.id });
+        }
+
+        queryIdRef.current += 1;
+        pendingQueryRef.current = { id: queryIdRef.current, query, version: indexVersion };
+        worker.postMessage({ type: 'query', id: queryIdRef.current, query });
+    }, [query, indexVersion, usingWorker]);
+
+    const itemsById = useMemo(
+        () => new Map(items.map((item) => [getPath(item, idKey), item])),
+        [items, idKey]
+    );
+
+    const workerResults = useMemo(
+        () => resultState.results
+            .filter((result) => itemsById.has(result.id))
+            .map(({ id, ...result }) => ({ item: itemsById.get(id), ...result })),
+        [resultState, itemsById]
+    );
+
+    // Main-thread fallback
+    const fallbackIndex = useMemo(
+        () => (usingWorker ? null : createSearchIndex(items, fields)),
+        [usingWorker, items, fields]
+    );
+    const fallbackResults = useMemo(
+        () => (fallbackIndex ? searchIndex(fallbackIndex, query) : null),
+        [fallbackIndex, query]
+    );
+
+    if (fallbackResults) {
+        return { results: fallbackResults, searching: false, progress: null, usingWorker: false };
+    }
+
+    return {
+        results: workerResults,
+        searching: resultState.query !== query || resultState.version !== indexVersion,
+        progress,
+        usingWorker: true,
+    };
+}
@@ -0,0 +1,108 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { notifyLocationChange, subscribeToLocation } from '../router/navigation';
+
+/*
+  useUrlState
+
+  Keeps a component's state (page, page size, query, filters, sort...) in
+  the query string, so a refresh or a shared link restores it and browser
+  back / forward move between pages and searches.
+
+    const [state, setState] = useUrlState({ page: 1, q: '' }, { prefix: 'users' });
+    setState({ page: 2 });                            // new history entry
+    setState({ q: 'abc' }, { history: 'replace' });   // update in place
+
+  - Keys are written as `prefix.key` so several demos can share one URL.
+  - Values are parsed back using the type of their default (number,
+    boolean, array as a comma list, string). Values equal to their default
+    are left out of the URL.
+*/
+
+const getSnapshot = () => window.location.search;
+
+const paramName = (prefix, key) => (prefix ? `${prefix}.${key}` : key);
+
+const parseValue = (raw, defaultValue) => {
+    if (Array.isArray(defaultValue)) return raw === '' ? [] : raw.split(',');
+    if (typeof defaultValue === 'number') {
+        const number = Number(raw);
+        return raw === '' || Number.isNaN(number) ? defaultValue : number;
+    }
+    if (typeof defaultValue === 'boolean') return raw === 'true';
+    return raw;
+};
+
+const serializeValue = (value) => (Array.isArray(value) ? value.join(',') : String(value));
+
+const isDefault = (value, defaultValue) =>
+    Array.isArray(defaultValue)
+        ? serializeValue(value ?? []) === serializeValue(defaultValue)
+        : value === defaultValue;
+
+/**
+ * Read URL state for a set of keys
+ * @param {string} search - location.search
+ * @param {object} defaults - Key / default value pairs
+ * @param {string} [prefix]
+ */
+export const readUrlState = (search, defaults, prefix = '') => {
+    const params = new URLSearchParams(search);
+    return Object.fromEntries(
+        Object.entries(defaults).map(([key, defaultValue]) => {
+            const raw = params.get(paramName(prefix, key));
+            return [key, raw == null ? defaultValue : parseValue(raw, defaultValue)];
+        })
+    );
+};
+
+/**
+ * Write URL state for a set of keys
+ * @param {object} patch - Keys to update
+ * @param {object} defaults - Key / default value pairs
+ * @param {object} options
+ * @param {string} [options.prefix]
+ * @param {'push'|'replace'} [options.history]
+ */
+export const writeUrlState = (patch, defaults, { prefix = '', history = 'push' } = {}) => {
+    const params = new URLSearchParams(window.location.search);
+
+    Object.entries(patch).forEach(([key, value]) => {
+        const name = paramName(prefix, key);
+        if (value == null || value === '' || isDefault(value, defaults[key])) {
+            params.delete(name);
+        } else {
+            params.set(name, serializeValue(value));
+        }
+    });
+
+    const query = params.toString();
+    const search = query ? `?${query}` : '';
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (history === 'replace') {
+        window.history.replaceState(window.history.state, '', url);
+    } else {
+        window.history.pushState(window.history.state, '', url);
+    }
+    notifyLocationChange();
+};
+
+/**
+ * @param {object} defaults - Key / default value pairs; also fixes each value's type
+ * @param {object} options
+ * @param {string} [options.prefix] - Namespace for this component's keys
+ * @returns {[object, function]} State and setter
+ */
+export function useUrlState(defaults, { prefix = '' } = {}) {
+    const search = useSyncExternalStore(subscribeToLocation, getSnapshot);
+    const state = readUrlState(search, defaults, prefix);
+
+    const setState = useCallback((update, { history = 'push' } = {}) => {
+        const current = readUrlState(window.location.search, defaults, prefix);
+        const patch = typeof update === 'function' ? update(current) : update;
+        writeUrlState(patch, defaults, { prefix, history });
+    }, [defaults, prefix]);
+
+    return [state, setState];
+}
@@ -0,0 +1,238 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+/*
+  useVirtualList
+
+  Windowed rendering for long lists: only the items inside the viewport
+  (plus `overscan` on each side) are mounted. Items may have different
+  heights; each rendered item is measured with a ResizeObserver and the
+  estimate is replaced by the real size.
+
+    const getItemKey = useCallback((i) => items[i].id, [items]);
+    const { listRef, virtualItems, totalSize, measureElement } =
+        useVirtualList({ count: items.length, getItemKey });
+
+    <div ref={listRef} style={{ position: 'relative', height: totalSize }}>
+        {virtualItems.map(({ index, key, start }) => (
+            <div key={key} ref={measureElement} data-index={index}
+                 style={{ position: 'absolute', top: 0, left: 0, right: 0,
+                          transform: `translateY(${start}px)` }}>
+                ...
+            </div>
+        ))}
+    </div>
+
+  The layout is rebuilt whenever `getItemKey` changes, so memoize it as
+  above rather than passing a new function on every render.
+
+  Scrolling happens on `window` unless `scrollElementRef` points at a
+  scrollable container. When items are inserted above the current ones
+  (loading older pages), the scroll position is shifted by their height so
+  the content on screen stays put.
+*/
+
+const findStartIndex = (offsets, sizes, position) => {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (offsets[middle] + sizes[middle] <= position) {
+            low = middle + 1;
+        } else if (offsets[middle] > position) {
+            high = middle - 1;
+        } else {
+            return middle;
+        }
+    }
+    return Math.min(low, offsets.length - 1);
+};
+
+/**
+ * @param {object} options
+ * @param {number} options.count - Number of items
+ * @param {function} [options.getItemKey] - index => stable key (measurements follow the key)
+ * @param {number} [options.estimateSize] - Height in px used until an item is measured
+ * @param {number} [options.overscan] - Extra items rendered above and below the viewport
+ * @param {object} [options.scrollElementRef] - Ref to a scroll container (default: window)
+ * @returns {object} listRef, virtualItems, range (visible indexes without overscan), totalSize, measureElement
+ */
+export function useVirtualList({
+    count,
+    getItemKey = (index) => index,
+    estimateSize = 120,
+    overscan = 5,
+    scrollElementRef = null,
+}) {
+    const listRef = useRef(null);
+    const observerRef = useRef(null);
+    const sizesRef = useRef(new Map());
+    const layoutRef = useRef({ offsets: [], keys: [], viewportTop: 0, estimateSize });
+
+    const [measuredSizes, setMeasuredSizes] = useState(() => new Map());
+    const [viewport, setViewport] = useState({ top: 0, height: 0 });
+
+    const layout = useMemo(() => {
+        const keys = new Array(count);
+        const sizes = new Array(count);
+        const offsets = new Array(count);
+        let total = 0;
+
+        for (let index = 0; index < count; index += 1) {
+            const key = getItemKey(index);
+            keys[index] = key;
+            sizes[index] = measuredSizes.get(key) ?? estimateSize;
+            offsets[index] = total;
+            total += sizes[index];
+        }
+
+        return { keys, sizes, offsets, total };
+    }, [count, getItemKey, estimateSize, measuredSizes]);
+
+    const scrollBy = useCallback((delta) => {
+        const scrollElement = scrollElementRef?.current;
+        if (scrollElement) {
+            scrollElement.scrollTop += delta;
+        } else {
+            window.scrollBy(0, delta);
+        }
+    }, [scrollElementRef]);
+
+    // Layout effect: must be current before the ResizeObserver reports on the
+    // new DOM, and scroll anchoring has to happen before paint
+    useLayoutEffect(() => {
+        const previousFirstKey = layoutRef.current.keys[0];
+        layoutRef.current = { ...layoutRef.current, offsets: layout.offsets, keys: layout.keys, estimateSize };
+
+        if (previousFirstKey === undefined) return;
+        const shiftedTo = layout.keys.indexOf(previousFirstKey);
+        if (shiftedTo > 0) {
+            scrollBy(layout.offsets[shiftedTo]);
+        }
+    }, [layout, estimateSize, scrollBy]);
+
+    // Track which slice of the list is visible
+    useEffect(() => {
+        const scrollElement = scrollElementRef?.current ?? null;
+        const target = scrollElement ?? window;
+        let frame = null;
+
+        const update = () => {
+            frame = null;
+            const list = listRef.current;
+            if (!list) return;
+
+            const containerTop = scrollElement ? scrollElement.getBoundingClientRect().top : 0;
+            const top = containerTop - list.getBoundingClientRect().top;
+            const height = scrollElement ? scrollElement.clientHeight : window.innerHeight;
+
+            layoutRef.current.viewportTop = top;
+            setViewport((previous) =>
+                previous.top === top && previous.height === height ? previous : { top, height }
+            );
+        };
+
+        const schedule = () => {
+            if (frame == null) frame = requestAnimationFrame(update);
+        };
+
+        schedule();
+        target.addEventListener('scroll', schedule, { passive: true });
+        window.addEventListener('resize', schedule);
+
+        return () => {
+            if (frame != null) cancelAnimationFrame(frame);
+            target.removeEventListener('scroll', schedule);
+            window.removeEventListener('resize', schedule);
+        };
+    }, [scrollElementRef]);
+
+    // Measure rendered items; keep the viewport steady when items above it change size.
+    // Measurements are collected and applied once per frame, so a burst of
+    // resizes (a page of new items, a window resize) re-renders only once.
+    useEffect(() => {
+        let frame = null;
+        let scrollAdjustment = 0;
+
+        const flush = () => {
+            const adjustment = scrollAdjustment;
+            frame = null;
+            scrollAdjustment = 0;
+
+            setMeasuredSizes(new Map(sizesRef.current));
+            if (adjustment !== 0) {
+                scrollBy(adjustment);
+            }
+        };
+
+        const observer = new ResizeObserver((entries) => {
+            const { offsets, keys, viewportTop, estimateSize: estimated } = layoutRef.current;
+            const sizes = sizesRef.current;
+            let changed = false;
+
+            entries.forEach((entry) => {
+                // Unmounted items report a size of 0; forget them instead
+                if (!entry.target.isConnected) {
+                    observer.unobserve(entry.target);
+                    return;
+                }
+
+                const index = Number(entry.target.dataset.index);
+                const key = keys[index];
+                if (key === undefined) return;
+
+                const size = entry.borderBoxSize?.[0]?.blockSize ?? entry.target.getBoundingClientRect().height;
+                const oldSize = sizes.get(key) ?? estimated;
+                if (sizes.get(key) === size) return;
+
+                sizes.set(key, size);
+                changed = true;
+                if (offsets[index] < viewportTop) {
+                    scrollAdjustment += size - oldSize;
+                }
+            });
+
+            if (changed && frame == null) frame = requestAnimationFrame(flush);
+        });
+
+        observerRef.current = observer;
+        // Items committed before this effect ran were not observed by measureElement
+        listRef.current?.querySelectorAll('[data-index]').forEach((node) => observer.observe(node));
+
+        return () => {
+            if (frame != null) cancelAnimationFrame(frame);
+            observer.disconnect();
+            observerRef.current = null;
+        };
+    }, [scrollBy]);
+
+    const measureElement = useCallback((node) => {
+        if (node) observerRef.current?.observe(node);
+    }, []);
+
+    const { virtualItems, range } = useMemo(() => {
+        if (count === 0) return { virtualItems: [], range: { start: 0, end: -1 } };
+
+        const first = findStartIndex(layout.offsets, layout.sizes, Math.max(0, viewport.top));
+        let last = first;
+        const bottom = viewport.top + viewport.height;
+        while (last < count - 1 && layout.offsets[last + 1] < bottom) {
+            last += 1;
+        }
+
+        const start = Math.max(0, first - overscan);
+        const end = Math.min(count - 1, last + overscan);
+        const items = [];
+        for (let index = start; index <= end; index += 1) {
+            items.push({ index, key: layout.keys[index], start: layout.offsets[index], size: layout.sizes[index] });
+        }
+        return { virtualItems: items, range: { start: first, end: last } };
+    }, [count, layout, viewport, overscan]);
+
+    return {
+        listRef,
+        virtualItems,
+        range,
+        totalSize: layout.total,
+        measureElement,
+    };
+}
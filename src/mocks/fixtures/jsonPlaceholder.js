@@ -0,0 +1,72 @@
+// Mirrors https://jsonplaceholder.typicode.com/users and /posts
+
+const user = (id, name, username, email, [street, suite, city, zipcode], phone, website, [companyName, catchPhrase, bs]) => ({
+    id,
+    name,
+    username,
+    email,
+    address: { street, suite, city, zipcode, geo: { lat: '0', lng: '0' } },
+    phone,
+    website,
+    company: { name: companyName, catchPhrase, bs },
+});
+
+export const placeholderUsers = [
+    user(1, 'Leanne Graham', 'Bret', 'Sincere@april.biz',
+        ['Kulas Light', 'Apt. 556', 'Gwenborough', '92998-3874'], '1-770-736-8031 x56442', 'hildegard.org',
+        ['Romaguera-Crona', 'Multi-layered client-server neural-net', 'harness real-time e-markets']),
+    user(2, 'Ervin Howell', 'Antonette', 'Shanna@melissa.tv',
+        ['Victor Plains', 'Suite 879', 'Wisokyburgh', '90566-7771'], '010-692-6593 x09125', 'anastasia.net',
+        ['Deckow-Crist', 'Proactive didactic contingency', 'synergize scalable supply-chains']),
+    user(3, 'Clementine Bauch', 'Samantha', 'Nathan@yesenia.net',
+        ['Douglas Extension', 'Suite 847', 'McKenziehaven', '59590-4157'], '1-463-123-4447', 'ramiro.info',
+        ['Romaguera-Jacobson', 'Face to face bifurcated interface', 'e-enable strategic applications']),
+    user(4, 'Patricia Lebsack', 'Karianne', 'Julianne.OConner@kory.org',
+        ['Hoeger Mall', 'Apt. 692', 'South Elvis', '53919-4257'], '493-170-9623 x156', 'kale.biz',
+        ['Robel-Corkery', 'Multi-tiered zero tolerance productivity', 'transition cutting-edge web services']),
+    user(5, 'Chelsey Dietrich', 'Kamren', 'Lucio_Hettinger@annie.ca',
+        ['Skiles Walks', 'Suite 351', 'Roscoeview', '33263'], '(254)954-1289', 'demarco.info',
+        ['Keebler LLC', 'User-centric fault-tolerant solution', 'revolutionize end-to-end systems']),
+    user(6, 'Mrs. Dennis Schulist', 'Leopoldo_Corkery', 'Karley_Dach@jasper.info',
+        ['Norberto Crossing', 'Apt. 950', 'South Christy', '23505-1337'], '1-477-935-8478 x6430', 'ola.org',
+        ['Considine-Lockman', 'Synchronised bottom-line interface', 'e-enable innovative applications']),
+    user(7, 'Kurtis Weissnat', 'Elwyn.Skiles', 'Telly.Hoeger@billy.biz',
+        ['Rex Trail', 'Suite 280', 'Howemouth', '58804-1099'], '210.067.6132', 'elvis.io',
+        ['Johns Group', 'Configurable multimedia task-force', 'generate enterprise e-tailers']),
+    user(8, 'Nicholas Runolfsdottir V', 'Maxime_Nienow', 'Sherwood@rosamond.me',
+        ['Ellsworth Summit', 'Suite 729', 'Aliyaview', '45169'], '586.493.6943 x140', 'jacynthe.com',
+        ['Abernathy Group', 'Implemented secondary concept', 'e-enable extensible e-tailers']),
+    user(9, 'Glenna Reichert', 'Delphine', 'Chaim_McDermott@dana.io',
+        ['Dayna Park', 'Suite 449', 'Bartholomebury', '76495-3109'], '(775)976-6794 x41206', 'conrad.com',
+        ['Yost and Sons', 'Switchable contextually-based project', 'aggregate real-time technologies']),
+    user(10, 'Clementina DuBuque', 'Moriah.Stanton', 'Rey.Padberg@karina.biz',
+        ['Kattie Turnpike', 'Suite 198', 'Lebsackbury', '31428-2261'], '024-648-3804', 'ambrose.net',
+        ['Hoeger LLC', 'Centralized empowering task-force', 'target end-to-end models']),
+];
+
+const words = (
+    'lorem ipsum dolor sit amet consectetur adipisci velit quia non numquam eius modi tempora '
+    + 'incidunt ut labore et dolore magnam aliquam quaerat voluptatem enim ad minima veniam quis '
+    + 'nostrum exercitationem ullam corporis suscipit laboriosam nisi aliquid ex ea commodi '
+    + 'consequatur autem vel eum iure reprehenderit qui in voluptate esse quam nihil molestiae'
+).split(' ');
+
+// Deterministic pseudo-random sequence so fixtures are identical on every load
+const seeded = (seed) => () => {
+    seed = (seed * 9301 + 49297) % 233280;
+    return seed / 233280;
+};
+
+const sentence = (random, count) =>
+    Array.from({ length: count }, () => words[Math.floor(random() * words.length)]).join(' ');
+
+export const placeholderPosts = Array.from({ length: 100 }, (_, index) => {
+    const random = seeded(index + 1);
+    const lines = 1 + Math.floor(random() * 6);
+    return {
+        userId: Math.floor(index / 10) + 1,
+        id: index + 1,
+        title: sentence(random, 3 + Math.floor(random() * 6)),
+        body: Array.from({ length: lines }, () => sentence(random, 6 + Math.floor(random() * 8))).join('\n'),
+    };
+});
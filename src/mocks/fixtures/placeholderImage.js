@@ -0,0 +1,12 @@
+/**
+ * Inline SVG placeholder so fixture images render without network access
+ * @param {string} label - Text drawn in the middle (initials, product name...)
+ * @param {string} color - Background color
+ */
+export const placeholderImage = (label, color = '#4f46e5') => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="128" height="128" viewBox="0 0 128 128">`
+        + `<rect width="128" height="128" fill="${color}"/>`
+        + `<text x="64" y="72" font-family="sans-serif" font-size="28" fill="#fff" text-anchor="middle">${label}</text>`
+        + `</svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
@@ -0,0 +1,57 @@
+import { placeholderImage } from './placeholderImage';
+
+// A subset of https://dummyjson.com/products with the fields the app reads
+const rows = [
+    ['Essence Mascara Lash Princess', 'beauty', 'Essence', 9.99, 4.94, 'A popular mascara known for its volumizing and lengthening effects.'],
+    ['Eyeshadow Palette with Mirror', 'beauty', 'Glamour Beauty', 19.99, 3.28, 'Offers a versatile range of eyeshadow shades with a built-in mirror.'],
+    ['Powder Canister', 'beauty', 'Velvet Touch', 14.99, 3.82, 'A finely milled setting powder designed to set makeup and control shine.'],
+    ['Red Lipstick', 'beauty', 'Chic Cosmetics', 12.99, 2.51, 'A classic red lipstick with a creamy, long-lasting finish.'],
+    ['Red Nail Polish', 'beauty', 'Nail Couture', 8.99, 3.91, 'A rich, glossy red nail polish that dries quickly.'],
+    ['Calvin Klein CK One', 'fragrances', 'Calvin Klein', 49.99, 4.85, 'A classic unisex fragrance with a fresh, clean scent.'],
+    ['Chanel Coco Noir Eau De', 'fragrances', 'Chanel', 129.99, 2.76, 'An elegant and mysterious fragrance with notes of grapefruit and rose.'],
+    ["Dior J'adore", 'fragrances', 'Dior', 89.99, 3.31, 'A luxurious floral fragrance with notes of ylang-ylang and jasmine.'],
+    ['Dolce Shine Eau de', 'fragrances', 'Dolce & Gabbana', 69.99, 2.68, 'A youthful fragrance with mango, jasmine and blonde woods.'],
+    ['Gucci Bloom Eau de', 'fragrances', 'Gucci', 79.99, 2.69, 'A floral fragrance with tuberose, jasmine and Rangoon creeper.'],
+    ['Annibale Colombo Bed', 'furniture', 'Annibale Colombo', 1899.99, 4.14, 'A luxurious bed crafted with high-quality materials.'],
+    ['Annibale Colombo Sofa', 'furniture', 'Annibale Colombo', 2499.99, 3.08, 'A sophisticated sofa that combines comfort and style.'],
+    ['Bedside Table African Cherry', 'furniture', 'Furniture Co.', 299.99, 2.87, 'A stylish bedside table made from African cherry wood.'],
+    ['Knoll Saarinen Executive Conference Chair', 'furniture', 'Knoll', 499.99, 4.88, 'A modern chair designed for executive meeting rooms.'],
+    ['Wooden Bathroom Sink With Mirror', 'furniture', 'Bath Trends', 799.99, 3.59, 'A wooden sink with an attached mirror for a natural look.'],
+    ['Apple', 'groceries', null, 1.99, 4.19, 'Fresh and crisp apples, perfect for snacking or cooking.'],
+    ['Beef Steak', 'groceries', null, 12.99, 4.47, 'High-quality beef steak, great for grilling or pan-searing.'],
+    ['Cat Food', 'groceries', null, 8.99, 3.13, 'Nutritious cat food formulated to meet the needs of your feline friend.'],
+    ['Chicken Meat', 'groceries', null, 9.99, 3.19, 'Fresh and tender chicken meat, suitable for various recipes.'],
+    ['Cooking Oil', 'groceries', null, 4.99, 4.8, 'Versatile cooking oil suitable for frying, sauteing and more.'],
+    ['iPhone 5s', 'smartphones', 'Apple', 199.99, 2.83, 'A classic smartphone with a sleek design and Touch ID.'],
+    ['iPhone 6', 'smartphones', 'Apple', 299.99, 3.41, 'A stylish smartphone with a larger display and improved performance.'],
+    ['iPhone 13 Pro', 'smartphones', 'Apple', 1099.99, 4.12, 'A cutting-edge smartphone with a ProMotion display and triple cameras.'],
+    ['Samsung Galaxy S8', 'smartphones', 'Samsung', 499.99, 4.4, 'A premium smartphone with an Infinity Display and a powerful processor.'],
+    ['Oppo A57', 'smartphones', 'Oppo', 249.99, 3.94, 'A mid-range smartphone known for its sleek design and capable features.'],
+    ['Apple MacBook Pro 14 Inch Space Grey', 'laptops', 'Apple', 1999.99, 3.65, 'A powerful laptop with an M1 Pro chip and a Liquid Retina display.'],
+    ['Asus Zenbook Pro Dual Screen Laptop', 'laptops', 'Asus', 1799.99, 3.95, 'A high-performance laptop with a dual-screen setup.'],
+    ['Huawei Matebook X Pro', 'laptops', 'Huawei', 1399.99, 4.98, 'A slim and stylish laptop with a high-resolution touchscreen.'],
+    ['Lenovo Yoga 920', 'laptops', 'Lenovo', 1099.99, 2.86, 'A 2-in-1 convertible laptop with a flexible hinge.'],
+    ['New DELL XPS 13 9300 Laptop', 'laptops', 'Dell', 1499.99, 4.52, 'A compact laptop with an InfinityEdge display.'],
+];
+
+const colors = {
+    beauty: '#db2777',
+    fragrances: '#7c3aed',
+    furniture: '#92400e',
+    groceries: '#059669',
+    smartphones: '#2563eb',
+    laptops: '#334155',
+};
+
+export const products = rows.map(([title, category, brand, price, rating, description], index) => ({
+    id: index + 1,
+    title,
+    description,
+    category,
+    price,
+    discountPercentage: Number(((index * 7) % 20 + 0.5).toFixed(2)),
+    rating,
+    stock: (index * 13) % 100,
+    ...(brand ? { brand } : {}),
+    thumbnail: placeholderImage(title.slice(0, 2).toUpperCase(), colors[category]),
+}));
@@ -0,0 +1,27 @@
+import { placeholderImage } from './placeholderImage';
+
+// Mirrors the 12 users served by https://reqres.in/api/users
+const people = [
+    [1, 'George', 'Bluth'],
+    [2, 'Janet', 'Weaver'],
+    [3, 'Emma', 'Wong'],
+    [4, 'Eve', 'Holt'],
+    [5, 'Charles', 'Morris'],
+    [6, 'Tracey', 'Ramos'],
+    [7, 'Michael', 'Lawson'],
+    [8, 'Lindsay', 'Ferguson'],
+    [9, 'Tobias', 'Funke'],
+    [10, 'Byron', 'Fields'],
+    [11, 'George', 'Edwards'],
+    [12, 'Rachel', 'Howell'],
+];
+
+const colors = ['#2563eb', '#db2777', '#059669', '#d97706', '#7c3aed', '#dc2626'];
+
+export const reqresUsers = people.map(([id, firstName, lastName]) => ({
+    id,
+    email: `${firstName}.${lastName}@reqres.in`.toLowerCase(),
+    first_name: firstName,
+    last_name: lastName,
+    avatar: placeholderImage(`${firstName[0]}${lastName[0]}`, colors[id % colors.length]),
+}));
@@ -0,0 +1,294 @@
+import { reqresUsers } from './fixtures/reqresUsers';
+import { placeholderPosts, placeholderUsers } from './fixtures/jsonPlaceholder';
+import { products } from './fixtures/products';
+
+/*
+  Route table for the offline mock backend
+
+  Each route matches a host, an HTTP method and a path pattern (":name"
+  segments become `pathParams`). A handler receives the parsed request and
+  returns { status, data, headers }.
+
+  Writes to reqres users are kept in memory (reqres itself only echoes
+  them back) so lists reflect them until the page is reloaded.
+*/
+
+const json = (data, status = 200, headers = {}) => ({ status, data, headers });
+
+const toInt = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? fallback : number;
+};
+
+let users = [...reqresUsers];
+
+const reqresKeyCheck = (headers) => {
+    const key = headers['x-api-key'];
+    return key ? null : json({ error: 'Missing API key' }, 401);
+};
+
+// reqres login / register: only known users, any password
+const missingCredentials = (data) => {
+    if (!data?.email) return json({ error: 'Missing email or username' }, 400);
+    if (!data.password) return json({ error: 'Missing password' }, 400);
+    return null;
+};
+
+const findByEmail = (email) =>
+    users.find((user) => user.email?.toLowerCase() === String(email).trim().toLowerCase());
+
+const mockToken = (user) => `mock-token-${user.id}`;
+
+const searchProducts = (query) => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return products;
+    return products.filter((product) =>
+        [product.title, product.description, product.category, product.brand]
+            .some((field) => field?.toLowerCase().includes(needle))
+    );
+};
+
+// dummyjson `select=title,price` keeps only those fields (plus id)
+const selectFields = (list, select) => {
+    if (!select) return list;
+    const fields = ['id', ...String(select).split(',').map((field) => field.trim())];
+    return list.map((item) =>
+        Object.fromEntries(fields.filter((field) => field in item).map((field) => [field, item[field]]))
+    );
+};
+
+// dummyjson `sortBy=price&order=desc`
+const sortProducts = (list, { sortBy, order }) => {
+    if (!sortBy) return list;
+    const direction = order === 'desc' ? -1 : 1;
+    return [...list].sort((a, b) => {
+        const left = a[sortBy];
+        const right = b[sortBy];
+        if (left == null || right == null) return left == null ? 1 : -1;
+        const compared = typeof left === 'string' ? left.localeCompare(right) : left - right;
+        return compared * direction;
+    });
+};
+
+const toCategoryName = (slug) =>
+    slug.split('-').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+
+const productPage = (list, params) => {
+    const sorted = sortProducts(list, params);
+    const limit = toInt(params.limit, 30);
+    const skip = toInt(params.skip, 0);
+    const page = limit === 0 ? sorted.slice(skip) : sorted.slice(skip, skip + limit);
+    return json({
+        products: selectFields(page, params.select),
+        total: sorted.length,
+        skip,
+        limit,
+    });
+};
+
+export const routes = [
+    // reqres.in
+    {
+        host: 'reqres.in',
+        method: 'get',
+        path: '/api/users',
+        handler: ({ params, headers }) => {
+            const denied = reqresKeyCheck(headers);
+            if (denied) return denied;
+
+            const page = Math.max(1, toInt(params.page, 1));
+            const perPage = Math.max(1, toInt(params.per_page, 6));
+            const start = (page - 1) * perPage;
+            return json({
+                page,
+                per_page: perPage,
+                total: users.length,
+                total_pages: Math.ceil(users.length / perPage),
+                data: users.slice(start, start + perPage),
+            });
+        },
+    },
+    {
+        host: 'reqres.in',
+        method: 'get',
+        path: '/api/users/:id',
+        handler: ({ headers, pathParams }) => {
+            const denied = reqresKeyCheck(headers);
+            if (denied) return denied;
+
+            const found = users.find((item) => item.id === toInt(pathParams.id));
+            return found ? json({ data: found }) : json({}, 404);
+        },
+    },
+    {
+        host: 'reqres.in',
+        method: 'post',
+        path: '/api/users',
+        handler: ({ headers, data }) => {
+            const denied = reqresKeyCheck(headers);
+            if (denied) return denied;
+
+            const id = Math.max(0, ...users.map((item) => item.id)) + 1;
+            users = [...users, { ...data, id }];
+            return json({ ...data, id, createdAt: new Date().toISOString() }, 201);
+        },
+    },
+    ...['put', 'patch'].map((method) => ({
+        host: 'reqres.in',
+        method,
+        path: '/api/users/:id',
+        handler: ({ headers, pathParams, data }) => {
+            const denied = reqresKeyCheck(headers);
+            if (denied) return denied;
+
+            const id = toInt(pathParams.id);
+            // Like reqres, unknown ids are accepted (and not stored)
+            users = users.map((item) => {
+                if (item.id !== id) return item;
+                return method === 'put' ? { ...data, id } : { ...item, ...data, id };
+            });
+            return json({ ...data, updatedAt: new Date().toISOString() });
+        },
+    })),
+    {
+        host: 'reqres.in',
+        method: 'delete',
+        path: '/api/users/:id',
+        handler: ({ headers, pathParams }) => {
+            const denied = reqresKeyCheck(headers);
+            if (denied) return denied;
+
+            const id = toInt(pathParams.id);
+            users = users.filter((item) => item.id !== id);
+            return json('', 204);
+        },
+    },
+
+    {
+        host: 'reqres.in',
+        method: 'post',
+        path: '/api/login',
+        handler: ({ headers, data }) => {
+            const denied = reqresKeyCheck(headers);
+            if (denied) return denied;
+
+            const missing = missingCredentials(data);
+            if (missing) return missing;
+
+            const user = findByEmail(data.email);
+            return user ? json({ token: mockToken(user) }) : json({ error: 'user not found' }, 400);
+        },
+    },
+    {
+        host: 'reqres.in',
+        method: 'post',
+        path: '/api/register',
+        handler: ({ headers, data }) => {
+            const denied = reqresKeyCheck(headers);
+            if (denied) return denied;
+
+            const missing = missingCredentials(data);
+            if (missing) return missing;
+
+            const user = findByEmail(data.email);
+            return user
+                ? json({ id: user.id, token: mockToken(user) })
+                : json({ error: 'Note: Only defined users succeed registration' }, 400);
+        },
+    },
+
+    // jsonplaceholder.typicode.com
+    {
+        host: 'jsonplaceholder.typicode.com',
+        method: 'get',
+        path: '/posts',
+        handler: ({ params }) => {
+            const start = toInt(params._start, 0);
+            const limit = toInt(params._limit, placeholderPosts.length);
+            return json(
+                placeholderPosts.slice(start, start + limit),
+                200,
+                { 'x-total-count': String(placeholderPosts.length) }
+            );
+        },
+    },
+    {
+        host: 'jsonplaceholder.typicode.com',
+        method: 'get',
+        path: '/users',
+        handler: () => json(placeholderUsers),
+    },
+    {
+        host: 'jsonplaceholder.typicode.com',
+        method: 'get',
+        path: '/users/:id',
+        handler: ({ pathParams }) => {
+            const found = placeholderUsers.find((item) => item.id === toInt(pathParams.id));
+            return found ? json(found) : json({}, 404);
+        },
+    },
+
+    // dummyjson.com
+    {
+        host: 'dummyjson.com',
+        method: 'get',
+        path: '/products/search',
+        handler: ({ params }) => productPage(searchProducts(params.q ?? ''), params),
+    },
+    {
+        host: 'dummyjson.com',
+        method: 'get',
+        path: '/products/categories',
+        handler: () => json(
+            [...new Set(products.map((product) => product.category))].map((slug) => ({
+                slug,
+                name: toCategoryName(slug),
+                url: `https://dummyjson.com/products/category/${slug}`,
+            }))
+        ),
+    },
+    {
+        host: 'dummyjson.com',
+        method: 'get',
+        path: '/products/category/:slug',
+        handler: ({ params, pathParams }) =>
+            productPage(products.filter((product) => product.category === pathParams.slug), params),
+    },
+    {
+        host: 'dummyjson.com',
+        method: 'get',
+        path: '/products',
+        handler: ({ params }) => productPage(products, params),
+    },
+];
+
+const matchPath = (pattern, pathname) => {
+    const patternParts = pattern.split('/').filter(Boolean);
+    const pathParts = pathname.split('/').filter(Boolean);
+    if (patternParts.length !== pathParts.length) return null;
+
+    const pathParams = {};
+    for (let i = 0; i < patternParts.length; i += 1) {
+        if (patternParts[i].startsWith(':')) {
+            pathParams[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+        } else if (patternParts[i] !== pathParts[i]) {
+            return null;
+        }
+    }
+    return pathParams;
+};
+
+/**
+ * Find the route for a request
+ * @param {string} method - Lower-case HTTP method
+ * @param {URL} url - Fully resolved request URL
+ * @returns {{ route: object, pathParams: object } | null}
+ */
+export const findRoute = (method, url) => {
+    for (const route of routes) {
+        if (route.method !== method || route.host !== url.hostname) continue;
+        const pathParams = matchPath(route.path, url.pathname);
+        if (pathParams) return { route, pathParams };
+    }
+    return null;
+};
@@ -0,0 +1,199 @@
+import { AxiosError, AxiosHeaders, CanceledError } from 'axios';
+import { findRoute } from './handlers';
+import { logger } from '../api/logger';
+
+/*
+  Offline mock backend
+
+  An axios adapter that answers requests for reqres, jsonplaceholder and
+  dummyjson from local fixtures. It replaces the network adapter at the
+  bottom of the pipeline in axiosConfig.jsx, so caching, retries,
+  deduplication and cancellation behave exactly as they do online.
+
+  Enable it with VITE_USE_MOCK_API=true (see .env.example). Tuning:
+
+    VITE_MOCK_LATENCY=300        fixed latency in ms, or a range "200-800"
+    VITE_MOCK_ERROR_RATE=0.1     share of requests that fail at random
+    VITE_MOCK_ERRORS=500,429     failures to pick from: timeout, network,
+                                 401, 404, 429, 500, 503
+
+  In the browser console, `window.mockApi` changes these at runtime:
+
+    mockApi.failNext('429', 2)   fail the next two requests with 429
+    mockApi.setLatency(1500)     slow everything down
+    mockApi.setErrorRate(0.3, ['500', 'timeout'])
+    mockApi.reset()
+*/
+
+const ERROR_BODIES = {
+    401: { error: 'Missing API key' },
+    404: {},
+    429: { error: 'Too many requests' },
+    500: { error: 'Internal Server Error' },
+    503: { error: 'Service Unavailable' },
+};
+
+const parseLatency = (value) => {
+    const [min, max] = String(value ?? '').split('-').map((part) => parseInt(part, 10));
+    if (Number.isNaN(min)) return { min: 250, max: 600 };
+    return { min, max: Number.isNaN(max) ? min : max };
+};
+
+const initialSettings = () => ({
+    latency: parseLatency(import.meta.env.VITE_MOCK_LATENCY),
+    errorRate: Number(import.meta.env.VITE_MOCK_ERROR_RATE) || 0,
+    errorKinds: (import.meta.env.VITE_MOCK_ERRORS || '500')
+        .split(',')
+        .map((kind) => kind.trim())
+        .filter(Boolean),
+    forcedFailures: [],
+});
+
+let settings = initialSettings();
+
+/**
+ * Runtime controls for latency and error injection
+ */
+export const mockControls = {
+    setLatency: (min, max = min) => {
+        settings.latency = { min, max };
+    },
+    setErrorRate: (rate, kinds = settings.errorKinds) => {
+        settings.errorRate = rate;
+        settings.errorKinds = kinds.map(String);
+    },
+    failNext: (kind = '500', times = 1) => {
+        for (let i = 0; i < times; i += 1) settings.forcedFailures.push(String(kind));
+    },
+    reset: () => {
+        settings = initialSettings();
+    },
+    get settings() {
+        return settings;
+    },
+};
+
+const isAbsoluteURL = (url = '') => /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url);
+
+const resolveURL = (config) => {
+    const url = config.url ?? '';
+    const full = isAbsoluteURL(url) || !config.baseURL
+        ? url
+        : `${config.baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+    return new URL(full, window.location.origin);
+};
+
+const lowerCaseHeaders = (headers) => {
+    const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : headers ?? {};
+    return Object.fromEntries(
+        Object.entries(plain).map(([name, value]) => [name.toLowerCase(), value])
+    );
+};
+
+const parseBody = (data) => {
+    if (typeof data !== 'string') return data;
+    try {
+        return JSON.parse(data);
+    } catch {
+        return data;
+    }
+};
+
+const wait = (ms, config) => new Promise((resolve, reject) => {
+    const signal = config.signal;
+    if (signal?.aborted) {
+        reject(new CanceledError(null, config));
+        return;
+    }
+
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new CanceledError(null, config));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const pickLatency = () => {
+    const { min, max } = settings.latency;
+    return min + Math.round(Math.random() * (max - min));
+};
+
+const pickFailure = () => {
+    if (settings.forcedFailures.length > 0) return settings.forcedFailures.shift();
+    if (settings.errorRate > 0 && Math.random() < settings.errorRate) {
+        return settings.errorKinds[Math.floor(Math.random() * settings.errorKinds.length)];
+    }
+    return null;
+};
+
+const buildResponse = (config, request, { status, data, headers = {} }) => ({
+    data,
+    status,
+    statusText: status < 400 ? 'OK' : 'Error',
+    headers: AxiosHeaders.from({ 'content-type': 'application/json', ...headers }),
+    config,
+    request,
+});
+
+const settle = (response) => {
+    const { config, status } = response;
+    if (!config.validateStatus || config.validateStatus(status)) return response;
+
+    throw new AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+    );
+};
+
+/**
+ * axios adapter serving fixture data
+ * @param {object} config - axios request config
+ */
+export const mockAdapter = async (config) => {
+    const method = (config.method ?? 'get').toLowerCase();
+    const url = resolveURL(config);
+    const request = { mock: true, method: method.toUpperCase(), url: url.href };
+
+    const failure = pickFailure();
+
+    if (failure === 'timeout') {
+        const timeout = config.timeout || 10000;
+        await wait(timeout, config);
+        throw new AxiosError(`timeout of ${timeout}ms exceeded`, AxiosError.ECONNABORTED, config, request);
+    }
+
+    await wait(pickLatency(), config);
+
+    if (failure === 'network') {
+        throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config, request);
+    }
+
+    if (failure) {
+        const status = parseInt(failure, 10) || 500;
+        const headers = status === 429 || status === 503 ? { 'retry-after': '1' } : {};
+        return settle(buildResponse(config, request, { status, data: ERROR_BODIES[status] ?? {}, headers }));
+    }
+
+    const match = findRoute(method, url);
+    if (!match) {
+        logger.warn(`[mock] No fixture for ${method.toUpperCase()} ${url.href}`);
+        return settle(buildResponse(config, request, { status: 404, data: {} }));
+    }
+
+    const params = { ...Object.fromEntries(url.searchParams), ...(config.params ?? {}) };
+    const result = match.route.handler({
+        params,
+        pathParams: match.pathParams,
+        headers: lowerCaseHeaders(config.headers),
+        data: parseBody(config.data),
+    });
+
+    return settle(buildResponse(config, request, result));
+};
@@ -0,0 +1,31 @@
+import { navigate, usePathname } from './navigation';
+
+/**
+ * In-app link: a real <a href> (so open-in-new-tab and copy-link work)
+ * whose plain left clicks navigate without reloading the page.
+ * `className` may be a function receiving { isActive }.
+ */
+export default function Link({ to, className, children, ...rest }) {
+    const pathname = usePathname();
+    const isActive = pathname === to;
+
+    const handleClick = (event) => {
+        if (event.defaultPrevented || event.button !== 0) return;
+        if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+        event.preventDefault();
+        navigate(to);
+    };
+
+    return (
+        <a
+            href={to}
+            onClick={handleClick}
+            aria-current={isActive ? 'page' : undefined}
+            className={typeof className === 'function' ? className({ isActive }) : className}
+            {...rest}
+        >
+            {children}
+        </a>
+    );
+}
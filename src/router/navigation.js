@@ -0,0 +1,70 @@
+import { useSyncExternalStore } from 'react';
+
+/*
+  Minimal History API router
+
+  The app only needs a flat list of routes, so instead of pulling in a
+  router library we listen to the same History API that useUrlState
+  writes to. pushState / replaceState do not fire any event, so every
+  in-app navigation dispatches LOCATION_EVENT after updating history.
+*/
+
+const LOCATION_EVENT = 'locationchange';
+
+/**
+ * Subscribe to back / forward and in-app navigation
+ * @param {function} callback
+ * @returns {function} Unsubscribe
+ */
+export const subscribeToLocation = (callback) => {
+    window.addEventListener('popstate', callback);
+    window.addEventListener(LOCATION_EVENT, callback);
+    return () => {
+        window.removeEventListener('popstate', callback);
+        window.removeEventListener(LOCATION_EVENT, callback);
+    };
+};
+
+/**
+ * Tell subscribers the location changed after a pushState / replaceState
+ */
+export const notifyLocationChange = () => {
+    window.dispatchEvent(new Event(LOCATION_EVENT));
+};
+
+/**
+ * Navigate inside the app without a page reload
+ * @param {string} to - Path, optionally with query string and hash
+ * @param {object} options
+ * @param {boolean} [options.replace] - Replace the current history entry
+ */
+export const navigate = (to, { replace = false } = {}) => {
+    const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+    if (to === current) return;
+
+    if (replace) {
+        window.history.replaceState(null, '', to);
+    } else {
+        window.history.pushState(null, '', to);
+    }
+    notifyLocationChange();
+    window.scrollTo(0, 0);
+};
+
+const getPathname = () => window.location.pathname;
+
+/**
+ * Current pathname, re-rendering on navigation
+ */
+export const usePathname = () => useSyncExternalStore(subscribeToLocation, getPathname);
+
+/**
+ * Pick the route for a pathname; `path: '*'` is the fallback
+ * @param {Array<{ path: string }>} routes
+ * @param {string} pathname
+ */
+export const matchRoute = (routes, pathname) => {
+    const normalized = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+    return routes.find((route) => route.path === normalized)
+        ?? routes.find((route) => route.path === '*');
+};
@@ -0,0 +1,79 @@
+import { lazy } from 'react';
+
+/*
+  One route per demo. Each demo is code-split with React.lazy, so its
+  bundle (and its first fetch) only happens when the route is visited.
+  `requiresAuth` routes redirect to the login page when signed out.
+
+  lazy() keeps a failed import for good, and browsers cache a module that
+  failed to load, so a chunk that could not be fetched (offline, or gone
+  after a new deployment) never loads on this page. Such failures are
+  rethrown as a ChunkLoadError; the error boundary reloads the page for
+  them instead of rendering the route again.
+*/
+
+/**
+ * @param {*} error
+ * @returns {boolean} The code of a route could not be loaded
+ */
+export const isChunkLoadError = (error) => error?.name === 'ChunkLoadError';
+
+const lazyRoute = (load) => lazy(() => load().catch((cause) => {
+    const error = new Error(cause?.message ?? 'Failed to load the route', { cause });
+    error.name = 'ChunkLoadError';
+    throw error;
+}));
+
+export const demoRoutes = [
+    {
+        path: '/live-search',
+        label: 'Live Product Search',
+        description: 'Debounced search against the dummyjson products API.',
+        component: lazyRoute(() => import('./api/LiveSearchAPI.jsx')),
+    },
+    {
+        path: '/user-search',
+        label: 'Realtime User Search',
+        description: 'Client-side filtering of jsonplaceholder users.',
+        component: lazyRoute(() =>
+            import('./components/SearchWithDebounce.jsx').then((module) => ({ default: module.SearchWithDebounce }))
+        ),
+    },
+    {
+        path: '/infinite-scroll',
+        label: 'Infinite Scrolling',
+        description: 'Posts loaded page by page while you scroll.',
+        component: lazyRoute(() =>
+            import('./components/InfiniteScrolling.jsx').then((module) => ({ default: module.InfiniteScrolling }))
+        ),
+    },
+    {
+        path: '/users',
+        label: 'User Pagination',
+        description: 'Server-side pagination over the reqres users API, with add, edit and delete (sign-in required).',
+        component: lazyRoute(() => import('./components/UserPagination.jsx')),
+        requiresAuth: true,
+    },
+    {
+        path: '/paginated-list',
+        label: 'Paginated List',
+        description: 'Numbered pages with previous / next and page jumping.',
+        component: lazyRoute(() =>
+            import('./api/PaginatedList.jsx').then((module) => ({ default: module.PaginatedList }))
+        ),
+    },
+];
+
+// Not listed in the sidebar; reached from the header or a redirect
+export const authRoutes = [
+    {
+        path: '/login',
+        label: 'Log in',
+        component: lazyRoute(() => import('./components/LoginPage.jsx')),
+    },
+    {
+        path: '/register',
+        label: 'Sign up',
+        component: lazyRoute(() => import('./components/RegisterPage.jsx')),
+    },
+];
@@ -0,0 +1,73 @@
+import { normalizeText, normalizeWithOffsets, tokenize } from './normalize';
+
+/*
+  Match ranges for highlighting
+
+  Finds where search terms occur in a piece of text, ignoring case and
+  diacritics ("jose" matches "José"), and reports [start, end) offsets
+  into the original string. Plain string search - user input is never
+  turned into a RegExp.
+
+  A query is split into words, and each whitespace-separated chunk is
+  also looked up as typed, so punctuation and symbols ("(", "c++",
+  "node.js") are highlighted literally, not dropped.
+*/
+
+const WHITESPACE = /\s+/;
+
+/**
+ * Words of a query plus its chunks as typed
+ * @param {string} query
+ * @returns {string[]}
+ */
+const queryNeedles = (query) => [...tokenize(query), ...normalizeText(query).split(WHITESPACE)];
+
+/**
+ * Sort ranges and merge the ones that overlap or touch
+ * @param {Array<[number, number]>} ranges
+ * @returns {Array<[number, number]>}
+ */
+export const mergeRanges = (ranges) => {
+    const sorted = ranges
+        .filter(([start, end]) => end > start)
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    const merged = [];
+    for (const [start, end] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+    return merged;
+};
+
+/**
+ * Ranges of every occurrence of any of `terms` in `text`
+ * @param {string} text
+ * @param {string|string[]} terms - A query (split into words) or a list of terms
+ * @returns {Array<[number, number]>} Merged [start, end) ranges into `text`
+ */
+export const findHighlightRanges = (text, terms) => {
+    if (!text) return [];
+
+    const needles = (Array.isArray(terms) ? terms.map(normalizeText) : queryNeedles(terms))
+        .map((needle) => needle.trim())
+        .filter(Boolean);
+    if (needles.length === 0) return [];
+
+    const { text: haystack, offsets } = normalizeWithOffsets(String(text));
+    const ranges = [];
+
+    for (const needle of new Set(needles)) {
+        let index = haystack.indexOf(needle);
+        while (index !== -1) {
+            ranges.push([offsets[index], offsets[index + needle.length]]);
+            index = haystack.indexOf(needle, index + needle.length);
+        }
+    }
+
+    return mergeRanges(ranges);
+};
@@ -0,0 +1,151 @@
+import { couldMatchWord, createRecord, getPath, parseQuery, scoreRecord } from './searchEngine';
+
+/*
+  Inverted index for large datasets
+
+  Same query syntax and ranking as searchIndex in searchEngine.js, but
+  instead of scoring every record it keeps a word -> record ids map:
+  each query word is compared with the (much smaller) vocabulary, only
+  records containing a candidate word for every term get scored.
+
+  The index is mutable and keyed by item id so data changes can be
+  applied incrementally (upsertItems / removeItems). It is used from
+  search.worker.js but has no worker-specific code.
+*/
+
+/**
+ * @param {Array<{ name: string, path: string, weight?: number }>} fields
+ * @param {object} options
+ * @param {string} [options.idKey] - Property path holding each item's unique id
+ */
+export const createInvertedIndex = (fields, { idKey = 'id' } = {}) => ({
+    fields,
+    idKey,
+    records: new Map(),
+    postings: new Map(),
+    nextOrder: 0,
+});
+
+const recordWords = (record) => new Set(record.fields.flatMap((field) => field.words));
+
+const unlink = (index, id) => {
+    const record = index.records.get(id);
+    if (!record) return;
+
+    recordWords(record).forEach((word) => {
+        const ids = index.postings.get(word);
+        ids?.delete(id);
+        if (ids?.size === 0) index.postings.delete(word);
+    });
+};
+
+/**
+ * Add new items and re-index changed ones (matched by id)
+ * @param {object} index
+ * @param {object[]} items
+ */
+export const upsertItems = (index, items) => {
+    items.forEach((item) => {
+        const id = getPath(item, index.idKey);
+        const previous = index.records.get(id);
+        unlink(index, id);
+
+        const record = createRecord(item, index.fields);
+        // Updated items keep their place in the tie-break order
+        record.order = previous ? previous.order : index.nextOrder++;
+        index.records.set(id, record);
+
+        recordWords(record).forEach((word) => {
+            if (!index.postings.has(word)) index.postings.set(word, new Set());
+            index.postings.get(word).add(id);
+        });
+    });
+};
+
+/**
+ * @param {object} index
+ * @param {Array<string|number>} ids
+ */
+export const removeItems = (index, ids) => {
+    ids.forEach((id) => {
+        unlink(index, id);
+        index.records.delete(id);
+    });
+};
+
+const intersect = (a, b) => {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    return new Set([...small].filter((id) => large.has(id)));
+};
+
+/**
+ * Ids of records that may match every term (a superset of the real matches)
+ * @param {object} index
+ * @param {object[]} terms - From parseQuery
+ * @returns {Set}
+ */
+export const findCandidates = (index, terms) => {
+    const matchingWords = new Map();
+    let candidates = null;
+
+    for (const term of terms) {
+        for (const termWord of term.words) {
+            if (!matchingWords.has(termWord)) {
+                const ids = new Set();
+                index.postings.forEach((wordIds, word) => {
+                    if (couldMatchWord(termWord, word)) wordIds.forEach((id) => ids.add(id));
+                });
+                matchingWords.set(termWord, ids);
+            }
+
+            candidates = candidates ? intersect(candidates, matchingWords.get(termWord)) : matchingWords.get(termWord);
+            if (candidates.size === 0) return candidates;
+        }
+    }
+
+    return candidates ?? new Set(index.records.keys());
+};
+
+/**
+ * Parse a query and list the records to score
+ * @param {object} index
+ * @param {string} query
+ * @returns {{ terms: object[], ids: Array<string|number> }} No terms means "everything"
+ */
+export const planQuery = (index, query) => {
+    const terms = parseQuery(query, index.fields.map((field) => field.name));
+    const ids = terms.length === 0 ? [...index.records.keys()] : [...findCandidates(index, terms)];
+    return { terms, ids };
+};
+
+/**
+ * Score some candidate ids; call repeatedly on slices to stay responsive
+ * @param {object} index
+ * @param {object[]} terms
+ * @param {Array<string|number>} ids
+ * @returns {Array<{ id, score: number, fields: string[], matches: object, order: number }>}
+ */
+export const scoreCandidates = (index, terms, ids) => {
+    const results = [];
+    ids.forEach((id) => {
+        const record = index.records.get(id);
+        if (!record) return;
+
+        if (terms.length === 0) {
+            results.push({ id, score: 0, fields: [], matches: {}, order: record.order });
+            return;
+        }
+
+        const match = scoreRecord(record, terms, index.fields);
+        if (match) {
+            results.push({ id, score: match.score, fields: Object.keys(match.matches), matches: match.matches, order: record.order });
+        }
+    });
+    return results;
+};
+
+/**
+ * Best match first, then original order
+ * @param {object[]} results - From scoreCandidates
+ */
+export const rankResults = (results) => results.sort((a, b) => b.score - a.score || a.order - b.order);
@@ -0,0 +1,48 @@
+/*
+  Text normalization shared by the search engine and the highlighter:
+  lower case, no diacritics, words split on anything that is not a
+  letter or a digit (in any script).
+*/
+
+const MARKS = /\p{M}+/gu;
+const MARK = /\p{M}/u;
+const WORD_SEPARATOR = /[^\p{L}\p{N}]+/u;
+
+/**
+ * Lower-case and strip diacritics
+ * @param {*} value
+ * @returns {string}
+ */
+export const normalizeText = (value) =>
+    String(value ?? '').normalize('NFD').replace(MARKS, '').toLowerCase();
+
+/**
+ * Split text into normalized words
+ * @param {*} value
+ * @returns {string[]}
+ */
+export const tokenize = (value) => normalizeText(value).split(WORD_SEPARATOR).filter(Boolean);
+
+/**
+ * Normalize text one code point at a time, remembering where each
+ * normalized character came from
+ * @param {string} text
+ * @returns {{ text: string, offsets: number[] }} offsets[i] is the original index of
+ *   normalized character i; offsets[text.length] is the original length
+ */
+export const normalizeWithOffsets = (text) => {
+    let normalized = '';
+    const offsets = [];
+    let position = 0;
+
+    for (const character of text) {
+        // A lone combining mark belongs to the previous character
+        const part = MARK.test(character) ? '' : normalizeText(character);
+        for (let i = 0; i < part.length; i += 1) offsets.push(position);
+        normalized += part;
+        position += character.length;
+    }
+    offsets.push(text.length);
+
+    return { text: normalized, offsets };
+};
@@ -0,0 +1,107 @@
+import {
+    createInvertedIndex,
+    planQuery,
+    rankResults,
+    removeItems,
+    scoreCandidates,
+    upsertItems,
+} from './invertedIndex';
+
+/*
+  Search worker
+
+  Owns an inverted index (invertedIndex.js) off the main thread. Started
+  by useSearchIndex; messages in:
+
+    { type: 'configure', fields, idKey }
+    { type: 'upsert', items }            add / re-index items
+    { type: 'remove', ids }
+    { type: 'query', id, query }
+    { type: 'cancel', id }
+
+  and out:
+
+    { type: 'progress', indexed, total } while items are being indexed
+    { type: 'ready', size }              after each index change
+    { type: 'results', id, results }     [{ id, score, fields, matches }]
+    { type: 'cancelled', id }
+
+  Work happens in slices with a yield in between, so a cancel (or a newer
+  query) is picked up without waiting for a long build or query to end.
+*/
+
+const SLICE_SIZE = 500;
+
+let index = createInvertedIndex([]);
+const cancelled = new Set();
+
+// Messages are handled one at a time; `cancel` skips the line
+let queue = Promise.resolve();
+
+const yieldToMessages = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const indexItems = async (items) => {
+    for (let start = 0; start < items.length; start += SLICE_SIZE) {
+        upsertItems(index, items.slice(start, start + SLICE_SIZE));
+        self.postMessage({ type: 'progress', indexed: Math.min(start + SLICE_SIZE, items.length), total: items.length });
+        await yieldToMessages();
+    }
+};
+
+const runQuery = async (id, query) => {
+    const { terms, ids } = planQuery(index, query);
+    const results = [];
+
+    for (let start = 0; start < ids.length; start += SLICE_SIZE) {
+        if (cancelled.has(id)) {
+            cancelled.delete(id);
+            self.postMessage({ type: 'cancelled', id });
+            return;
+        }
+        results.push(...scoreCandidates(index, terms, ids.slice(start, start + SLICE_SIZE)));
+        await yieldToMessages();
+    }
+
+    cancelled.delete(id);
+    self.postMessage({
+        type: 'results',
+        id,
+        results: rankResults(results).map(({ id: itemId, score, fields, matches }) => ({ id: itemId, score, fields, matches })),
+    });
+};
+
+const handle = async (message) => {
+    switch (message.type) {
+        case 'configure':
+            index = createInvertedIndex(message.fields, { idKey: message.idKey });
+            break;
+        case 'upsert':
+            await indexItems(message.items);
+            self.postMessage({ type: 'ready', size: index.records.size });
+            break;
+        case 'remove':
+            removeItems(index, message.ids);
+            self.postMessage({ type: 'ready', size: index.records.size });
+            break;
+        case 'query':
+            if (cancelled.has(message.id)) {
+                cancelled.delete(message.id);
+                self.postMessage({ type: 'cancelled', id: message.id });
+                return;
+            }
+            await runQuery(message.id, message.query);
+            break;
+        default:
+    }
+};
+
+self.onmessage = ({ data }) => {
+    if (data.type === 'cancel') {
+        cancelled.add(data.id);
+        return;
+    }
+
+    queue = queue.then(() => handle(data)).catch((error) => {
+        self.postMessage({ type: 'error', id: data.id, message: error.message });
+    });
+};
@@ -0,0 +1,272 @@
+import { normalizeText, tokenize } from './normalize';
+import { findHighlightRanges } from './highlight';
+
+/*
+  Client-side search engine
+
+  Fuzzy, ranked, multi-field search over a list of plain objects.
+
+    const index = createSearchIndex(users, [
+        { name: 'name', path: 'name', weight: 3 },
+        { name: 'city', path: 'address.city', weight: 1.5 },
+    ]);
+    searchIndex(index, 'leane city:"south elvis"');
+    // -> [{ item, score, fields: ['name', 'city'], matches }, ...] best first
+
+  `matches` maps each matched field name to [start, end) ranges in its
+  original text - including typo matches - ready for <Highlight ranges>.
+
+  Query syntax
+    - Whitespace separates terms; every term has to match (AND)
+    - "quoted words" form one phrase term
+    - field:value and field:"several words" only look at that field;
+      unknown field names are searched as plain text
+
+  Ranking
+    Each term is scored against every field it may match and the best
+    field wins: exact word 1, word prefix 0.8, substring 0.5, typo
+    tolerant (edit distance 1 for 4-6 letters, 2 above) 0.4 or less,
+    times the field weight. A record's score is the sum over its terms.
+    Case and diacritics are ignored ("jose" finds "José").
+
+  Field definitions use property paths rather than functions so an
+  index can also be built somewhere functions cannot be sent.
+*/
+
+const TERM_PATTERN = /(?:([\p{L}\p{N}_]+):)?(?:"([^"]*)"?|(\S+))/gu;
+
+const SCORE_EXACT = 1;
+const SCORE_PREFIX = 0.8;
+const SCORE_SUBSTRING = 0.5;
+const SCORE_FUZZY = 0.4;
+const MIN_SUBSTRING_LENGTH = 3;
+
+// Typos allowed for a term of this length
+const maxEdits = (length) => {
+    if (length < 4) return 0;
+    return length <= 6 ? 1 : 2;
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions), giving up once it exceeds `limit`
+ * @returns {number} Distance, or limit + 1 when over the limit
+ */
+export const editDistance = (a, b, limit = Infinity) => {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i += 1) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > limit) return limit + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+// Score of one word against a term, and the part of the word to highlight
+const NO_MATCH = { score: 0, needle: null };
+
+const scoreWord = (term, word) => {
+    if (word === term) return { score: SCORE_EXACT, needle: word };
+    if (word.startsWith(term)) return { score: SCORE_PREFIX, needle: term };
+    if (term.length >= MIN_SUBSTRING_LENGTH && word.includes(term)) return { score: SCORE_SUBSTRING, needle: term };
+
+    const limit = maxEdits(term.length);
+    if (limit === 0) return NO_MATCH;
+
+    // Whole word with a typo, or (ranked lower) a typo in the part typed so far
+    const distance = editDistance(term, word, limit);
+    if (distance <= limit) return { score: SCORE_FUZZY * (1 - distance / (limit + 1)), needle: word };
+
+    if (word.length > term.length) {
+        const typed = word.slice(0, term.length);
+        const prefixDistance = editDistance(term, typed, limit);
+        if (prefixDistance <= limit) {
+            return { score: SCORE_FUZZY * 0.75 * (1 - prefixDistance / (limit + 1)), needle: typed };
+        }
+    }
+    return NO_MATCH;
+};
+
+const bestWordMatch = (term, words) => {
+    let best = NO_MATCH;
+    for (const word of words) {
+        const match = scoreWord(term, word);
+        if (match.score > best.score) best = match;
+        if (best.score === SCORE_EXACT) break;
+    }
+    return best;
+};
+
+// { score, needles } of a term against one field
+const scoreField = (term, field) => {
+    if (!field.value) return { score: 0, needles: [] };
+    if (field.value === term.value) return { score: SCORE_EXACT, needles: [term.value] };
+
+    if (term.words.length === 1 && term.words[0] === term.value) {
+        const best = bestWordMatch(term.value, field.words);
+        if (best.score === 0 && term.value.length >= MIN_SUBSTRING_LENGTH && field.value.includes(term.value)) {
+            return { score: SCORE_SUBSTRING, needles: [term.value] };
+        }
+        return { score: best.score, needles: best.needle ? [best.needle] : [] };
+    }
+
+    // Phrases, and terms with punctuation such as emails or phone numbers
+    if (field.value.startsWith(term.value)) return { score: SCORE_PREFIX, needles: [term.value] };
+    if (field.value.includes(term.value)) return { score: SCORE_SUBSTRING, needles: [term.value] };
+
+    // Otherwise every word of the phrase has to match somewhere in the field
+    let total = 0;
+    const needles = [];
+    for (const termWord of term.words) {
+        const best = bestWordMatch(termWord, field.words);
+        if (best.score === 0) return { score: 0, needles: [] };
+        total += best.score;
+        needles.push(best.needle);
+    }
+    return { score: (total / term.words.length) * SCORE_FUZZY * 2, needles };
+};
+
+/**
+ * Split a query into terms
+ * @param {string} query
+ * @param {string[]} fieldNames - Names accepted before a colon
+ * @returns {Array<{ field: string|null, value: string, words: string[], raw: string }>}
+ */
+export const parseQuery = (query, fieldNames = []) => {
+    const known = new Set(fieldNames.map((name) => name.toLowerCase()));
+    const terms = [];
+
+    for (const match of String(query ?? '').matchAll(TERM_PATTERN)) {
+        const [raw, fieldName, quoted, bare] = match;
+        const scoped = fieldName && known.has(fieldName.toLowerCase());
+        const text = scoped ? quoted ?? bare : quoted ?? (fieldName ? `${fieldName}:${bare}` : bare);
+
+        const value = normalizeText(text).trim();
+        const words = tokenize(text);
+        if (!value || words.length === 0) continue;
+
+        terms.push({ field: scoped ? fieldName.toLowerCase() : null, value, words, raw });
+    }
+
+    return terms;
+};
+
+/**
+ * Read a dotted property path ('address.city')
+ * @param {object} item
+ * @param {string} path
+ */
+export const getPath = (item, path) =>
+    path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+
+/**
+ * Normalized field values of one item
+ * @param {object} item
+ * @param {Array<{ name: string, path: string, weight?: number }>} fields
+ */
+export const createRecord = (item, fields) => ({
+    item,
+    fields: fields.map((field) => {
+        const value = getPath(item, field.path);
+        return { text: value == null ? '' : String(value), value: normalizeText(value).trim(), words: tokenize(value) };
+    }),
+});
+
+/**
+ * Score one record against parsed query terms
+ * @param {object} record - From createRecord
+ * @param {object[]} terms - From parseQuery
+ * @param {object[]} fields - Field definitions the record was built with
+ * @returns {{ score: number, matches: object } | null} null unless every term matches
+ */
+export const scoreRecord = (record, terms, fields) => {
+    let score = 0;
+    // field index -> needles to highlight
+    const matched = new Map();
+
+    for (const term of terms) {
+        let best = { score: 0, needles: [] };
+        let bestField = -1;
+
+        fields.forEach((field, fieldIndex) => {
+            if (term.field && field.name.toLowerCase() !== term.field) return;
+            const match = scoreField(term, record.fields[fieldIndex]);
+            const weighted = match.score * (field.weight ?? 1);
+            if (weighted > best.score) {
+                best = { score: weighted, needles: match.needles };
+                bestField = fieldIndex;
+            }
+        });
+
+        // Every term has to match
+        if (best.score === 0) return null;
+        score += best.score;
+        matched.set(bestField, [...(matched.get(bestField) ?? []), ...best.needles]);
+    }
+
+    const matches = {};
+    matched.forEach((needles, fieldIndex) => {
+        matches[fields[fieldIndex].name] = findHighlightRanges(record.fields[fieldIndex].text, needles);
+    });
+    return { score, matches };
+};
+
+/**
+ * Whether an indexed word could satisfy a query word (exact, prefix,
+ * substring or typo). Deliberately generous: inverted indexes use it to
+ * pick candidates, which scoreRecord then ranks.
+ * @param {string} termWord - Normalized query word
+ * @param {string} word - Normalized indexed word
+ */
+export const couldMatchWord = (termWord, word) =>
+    word.includes(termWord) || scoreWord(termWord, word).score > 0;
+
+/**
+ * Precompute normalized field values for a list of items
+ * @param {object[]} items
+ * @param {Array<{ name: string, path: string, weight?: number }>} fields
+ */
+export const createSearchIndex = (items, fields) => ({
+    fields,
+    records: items.map((item) => createRecord(item, fields)),
+});
+
+/**
+ * Run a query against an index
+ * @param {object} index - From createSearchIndex
+ * @param {string} query
+ * @returns {Array<{ item: object, score: number, fields: string[], matches: object }>}
+ *   Best match first; every item (score 0, original order) for an empty query
+ */
+export const searchIndex = (index, query) => {
+    const terms = parseQuery(query, index.fields.map((field) => field.name));
+    if (terms.length === 0) {
+        return index.records.map((record) => ({ item: record.item, score: 0, fields: [], matches: {} }));
+    }
+
+    const results = [];
+    index.records.forEach((record, position) => {
+        const match = scoreRecord(record, terms, index.fields);
+        if (match) results.push({ item: record.item, ...match, position });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.position - b.position)
+        .map(({ item, score, matches }) => ({ item, score, fields: Object.keys(matches), matches }));
+};